@@ -1,62 +1,175 @@
 // Generates AWS V4 signature
 // see http://docs.amazonwebservices.com/general/latest/gr/signature-version-4.html
+//
+// A request is {method, uri, query, headers, body, payloadHash}:
+// - uri is the decoded path ('/example space/'), it is normalized (except
+//   for s3) and URI-encoded when canonicalized
+// - query is a query string ('a=1&b=2') or an object ({a: 1, b: [2, 3]})
+// - headers values can be arrays (repeated headers)
+// - payloadHash overrides the hash of the body: Signer.UNSIGNED_PAYLOAD,
+//   Signer.STREAMING_PAYLOAD or a precomputed hex SHA256. An
+//   x-amz-content-sha256 header is used the same way
 var crypto = require('crypto'),
     util = require('utile');
 
 var Signer = module.exports;
 
 Signer.algorithm = "AWS4-HMAC-SHA256";
+Signer.UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+Signer.STREAMING_PAYLOAD = "STREAMING-AWS4-HMAC-SHA256-PAYLOAD";
 
-Signer.signature = function(credentials, request, date, region) {
-  var secret = credentials.secretAccessKey;
-  var signedDate = hmac("AWS4" + secret, today(date));
+// headers that proxies and agents are free to change
+Signer.unsignableHeaders = ['authorization', 'connection', 'expect', 'user-agent', 'x-amzn-trace-id'];
+
+Signer.signingKey = function(credentials, date, region, service) {
+  var signedDate = hmac("AWS4" + credentials.secretAccessKey, today(date));
   var signedRegion = hmac(signedDate, region);
-  var signedService = hmac(signedRegion, "dynamodb");
-  var signedCredentials = hmac(signedService, 'aws4_request');
-  
-  return hmac(signedCredentials, Signer.stringToSign(request, date, region) );
+  var signedService = hmac(signedRegion, service || "dynamodb");
+  return hmac(signedService, 'aws4_request');
+};
+
+Signer.signature = function(credentials, request, date, region, service) {
+  var key = Signer.signingKey(credentials, date, region, service);
+  return hmac(key, Signer.stringToSign(request, date, region, service)).toString('hex');
 };
 
-Signer.authorization = function(credentials, request, date, region) {
+Signer.authorization = function(credentials, request, date, region, service) {
   return [
-    Signer.algorithm + " Credential=" + credentials.accessKeyId + "/" + Signer._credentialScope(date, region),
+    Signer.algorithm + " Credential=" + credentials.accessKeyId + "/" + Signer._credentialScope(date, region, service),
     "SignedHeaders=" + Signer._signedHeaders(request.headers),
-    "Signature=" + hex(Signer.signature(credentials, request, date, region))
+    "Signature=" + Signer.signature(credentials, request, date, region, service)
   ].join(', ');
 };
 
-Signer.canonicalRequest = function(request) {
+Signer.canonicalRequest = function(request, service) {
   return [
     request.method.toUpperCase(),
-    request.uri,
-    request.query,
+    Signer._canonicalUri(request.uri, service),
+    Signer._canonicalQuery(request.query),
     Signer._canonicalHeaders(request.headers) + "\n",
     Signer._signedHeaders(request.headers),
-    Signer._digest(request.body || '')
+    Signer._payloadHash(request)
   ].join("\n");
 };
 
-Signer.stringToSign = function(request, date, region) {
+Signer.stringToSign = function(request, date, region, service) {
   return [
-    Signer.algorithm, 
+    Signer.algorithm,
     Signer._requestDate(date),
-    Signer._credentialScope(date, region),
-    Signer._digest(Signer.canonicalRequest(request) )
+    Signer._credentialScope(date, region, service),
+    Signer._digest(Signer.canonicalRequest(request, service) )
   ].join("\n");
 };
 
+// Builds a presigned URL: the signature goes in the query string, the
+// request can be issued by anyone until it expires
+// expires is in seconds (1 to 604800, defaults to 900)
+Signer.presign = function(credentials, request, date, region, service, expires) {
+  expires = expires || 900;
+  if (expires < 1 || expires > 604800)
+    throw new Error('Invalid Expiration [1 to 604800 seconds]: ' + expires);
+
+  var query = parseQuery(request.query);
+  query.push(['X-Amz-Algorithm', Signer.algorithm]);
+  query.push(['X-Amz-Credential', credentials.accessKeyId + "/" + Signer._credentialScope(date, region, service)]);
+  query.push(['X-Amz-Date', Signer._requestDate(date)]);
+  query.push(['X-Amz-Expires', String(expires)]);
+  query.push(['X-Amz-SignedHeaders', Signer._signedHeaders(request.headers)]);
+  if (credentials.sessionToken)
+    query.push(['X-Amz-Security-Token', credentials.sessionToken]);
+
+  var presigned = {
+    method: request.method,
+    uri: request.uri,
+    query: query,
+    headers: request.headers,
+    payloadHash: request.payloadHash || (service === 's3' ? Signer.UNSIGNED_PAYLOAD : undefined),
+    body: request.body
+  };
+  query.push(['X-Amz-Signature', Signer.signature(credentials, presigned, date, region, service)]);
+
+  var host = headerValue(request.headers, 'host');
+  return (request.protocol || 'https:') + '//' + host + Signer._canonicalUri(request.uri, service) +
+         '?' + Signer._canonicalQuery(query);
+};
+
+// Signs the chunks of a STREAMING-AWS4-HMAC-SHA256-PAYLOAD body (aws-chunked
+// encoding). seed is the signature of the request headers, each chunk is
+// signed with the signature of the previous one. Returns function(chunk)
+// encoding a chunk, to be called with an empty chunk last
+Signer.chunkSigner = function(credentials, date, region, service, seed) {
+  var key = Signer.signingKey(credentials, date, region, service);
+  var previous = seed;
+  return function(chunk) {
+    chunk = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk || '', 'utf8');
+    previous = hmac(key, [
+      Signer.algorithm + "-PAYLOAD",
+      Signer._requestDate(date),
+      Signer._credentialScope(date, region, service),
+      previous,
+      Signer._digest(''),
+      Signer._digest(chunk)
+    ].join("\n")).toString('hex');
+    return Buffer.concat([
+      Buffer.from(chunk.length.toString(16) + ";chunk-signature=" + previous + "\r\n"),
+      chunk,
+      Buffer.from("\r\n")
+    ]);
+  };
+};
+
+Signer._canonicalUri = function(uri, service) {
+  uri = uri || '/';
+  var segments = uri.split('/');
+  // s3 keys are taken literally
+  if (service !== 's3') {
+    var normalized = [];
+    segments.forEach(function(segment) {
+      if (segment === '..')
+        normalized.pop();
+      else if (segment !== '.' && segment !== '')
+        normalized.push(segment);
+    });
+    var trailing = /\/\.{0,2}$/.test(uri) && normalized.length > 0;
+    segments = [''].concat(normalized);
+    if (trailing || normalized.length === 0)
+      segments.push('');
+  }
+  return segments.map(encode).join('/');
+};
+
+Signer._canonicalQuery = function(query) {
+  return parseQuery(query).map(function(pair) {
+    return [encode(pair[0]), encode(pair[1])];
+  }).sort(function(a, b) {
+    return compare(a[0], b[0]) || compare(a[1], b[1]);
+  }).map(function(pair) {
+    return pair[0] + '=' + pair[1];
+  }).join('&');
+};
+
 Signer._canonicalHeaders = function(headers) {
-  var toSign = headersToSign(headers);
+  var toSign = headersToSign(headers).sort(function(a, b) {
+    return compare(toLower(a), toLower(b));
+  });
 
   return toSign.map(function(key) {
-    return util.format("%s:%s", key.trim().toLowerCase(), headers[key].trim());
-  }).sort().join('\n');
+    var values = Array.isArray(headers[key]) ? headers[key] : [headers[key]];
+    return util.format("%s:%s", key.trim().toLowerCase(), values.map(function(value) {
+      return String(value).trim().replace(/\s+/g, ' ');
+    }).join(','));
+  }).join('\n');
 };
 
 Signer._signedHeaders = function(headers) {
   return headersToSign(headers).map(toLower).sort().join(";");
 };
 
+Signer._payloadHash = function(request) {
+  return request.payloadHash || headerValue(request.headers, 'x-amz-content-sha256') ||
+         Signer._digest(request.body || '');
+};
+
 Signer._digest = function(str) {
   return crypto.createHash('sha256').update(str, 'utf8').digest('hex');
 };
@@ -70,32 +183,81 @@ Signer._requestDate = function(date) {
         pad(date.getUTCSeconds())+'Z';
 };
 
-Signer._credentialScope = function(date, region) {
-  return [today(date), region, "dynamodb/aws4_request"].join("/");
+Signer._credentialScope = function(date, region, service) {
+  return [today(date), region, service || "dynamodb", "aws4_request"].join("/");
 };
 
-function hex(str) {
-  return new Buffer(str, "binary").toString("hex");
-}
-
 function today(date) {
   return date.getUTCFullYear() + pad(date.getUTCMonth()+1) + pad(date.getUTCDate());
 }
 
 function hmac(key, value) {
-  return crypto.createHmac('sha256', key).update(value).digest("binary");
+  return crypto.createHmac('sha256', key).update(value, 'utf8').digest();
 }
 
 function pad(n) {
   return n < 10 ? '0'+n : String(n);
 }
 
-var notAuthorization = function(str){return str != 'authorization';};
+// RFC 3986 encoding: everything but unreserved characters
+function encode(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, function(c) {
+    return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+  });
+}
+
+function compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// decoded [key, value] pairs of a query string or object
+function parseQuery(query) {
+  if (!query)
+    return [];
+  if (Array.isArray(query))
+    return query.slice();
+  if (typeof query === 'object') {
+    var pairs = [];
+    Object.keys(query).forEach(function(key) {
+      [].concat(query[key]).forEach(function(value) {
+        pairs.push([key, value === undefined || value === null ? '' : String(value)]);
+      });
+    });
+    return pairs;
+  }
+  return query.replace(/^\?/, '').split('&').filter(function(part) {
+    return part.length > 0;
+  }).map(function(part) {
+    var eq = part.indexOf('=');
+    var key = eq === -1 ? part : part.substring(0, eq);
+    var value = eq === -1 ? '' : part.substring(eq + 1);
+    return [decode(key), decode(value)];
+  });
+}
+
+function decode(str) {
+  try {
+    return decodeURIComponent(str);
+  }
+  catch (err) {
+    return str;
+  }
+}
+
+function headerValue(headers, name) {
+  for (var key in headers) {
+    if (headers.hasOwnProperty(key) && key.toLowerCase() === name)
+      return headers[key];
+  }
+  return undefined;
+}
 
 function headersToSign(headers) {
-  return Object.keys(headers).filter(notAuthorization);
+  return Object.keys(headers).filter(function(key) {
+    return Signer.unsignableHeaders.indexOf(key.toLowerCase()) === -1;
+  });
 }
 
 function toLower(str) {
   return str.trim().toLowerCase();
-}
\ No newline at end of file
+}
@@ -0,0 +1,802 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var child_process = require('child_process');
+var sts = require('./sts');
+var errors = require('./errors');
+
+/**
+ * Credential providers
+ *
+ * A provider is a function(cb) calling cb(err, credentials) with
+ * credentials {accessKeyId, secretAccessKey, sessionToken, expiration}
+ * (expiration being a Date, undefined for long term credentials), or
+ * cb(null, null) when it has no credentials to offer so that the next
+ * provider of a chain is tried:
+ *
+ *   var creds = require('dynamodb').credentials;
+ *   var provider = creds.cached(creds.chain([creds.fromEnv(),
+ *                                            creds.fromIni({profile: 'prod'})]));
+ *   provider(function(err, credentials) {});
+ *
+ * Errors stop a chain: a profile that exists but can't be resolved is not
+ * silently replaced by the next source.
+ */
+
+var EXPIRY_WINDOW = 5 * 60 * 1000;
+
+// the hosts an http AWS_CONTAINER_CREDENTIALS_FULL_URI can point to, besides
+// 127.0.0.0/8: loopback and the ECS and EKS credentials endpoints
+var CONTAINER_HOSTS = ['localhost', '::1', '169.254.170.2', '169.254.170.23', 'fd00:ec2::23'];
+
+
+/**
+ * builds an error raised while resolving credentials
+ * @param message the error message
+ * @param cause the underlying error (optional)
+ * @return the error
+ */
+var credentialsError = function(message, cause)
+{
+  return errors.create('Credentials Error: ' + message + (cause ? ' [' + cause.message + ']' : ''), {
+    code: 'CredentialsError',
+    cause: cause
+  });
+};
+
+
+/**
+ * converts the AWS JSON credentials format (process, container and instance
+ * metadata, STS) into credentials
+ * @param json {AccessKeyId, SecretAccessKey, SessionToken|Token, Expiration}
+ * @param source the name of the source, for error messages
+ * @throws an error if the keys are missing
+ * @return res the credentials
+ */
+var fromJSON = function(json, source)
+{
+  if (!json || !json.AccessKeyId || !json.SecretAccessKey)
+    throw credentialsError('missing AccessKeyId or SecretAccessKey from ' + source);
+  return {
+    accessKeyId: json.AccessKeyId,
+    secretAccessKey: json.SecretAccessKey,
+    sessionToken: json.SessionToken || json.Token,
+    expiration: json.Expiration ? new Date(json.Expiration) : undefined
+  };
+};
+
+
+/**
+ * performs a small HTTP(S) request against a credentials endpoint
+ * @param target the URL
+ * @param options {method, headers, timeout}
+ * @param cb callback(err, body, statusCode) err is set on network errors,
+ *        timeouts and non 2xx responses
+ */
+var fetch = function(target, options, cb)
+{
+  var parsed = url.parse(target);
+  var done = false;
+  var finish = function(err, body, statusCode)
+  {
+    if (done)
+      return;
+    done = true;
+    cb(err, body, statusCode);
+  };
+
+  var req = (parsed.protocol === 'https:' ? https : http).request({
+    method: options.method || 'GET',
+    host: parsed.hostname,
+    port: parsed.port,
+    path: parsed.path,
+    headers: options.headers || {}
+  }, function(res)
+  {
+    var body = '';
+    res.setEncoding('utf8');
+    res.on('data', function(chunk)
+    {
+      body += chunk;
+    });
+    res.on('end', function()
+    {
+      if (res.statusCode >= 300)
+      {
+        var err = new Error('Credentials Endpoint [' + res.statusCode + ']: ' + target);
+        err.statusCode = res.statusCode;
+        finish(err, body, res.statusCode);
+      }
+      else
+        finish(null, body, res.statusCode);
+    });
+  });
+
+  req.setTimeout(options.timeout || 1000, function()
+  {
+    var err = new Error('Credentials Endpoint [timeout]: ' + target);
+    err.code = 'ETIMEDOUT';
+    req.destroy(err);
+  });
+  req.on('error', function(err)
+  {
+    finish(err);
+  });
+  req.end();
+};
+
+
+/**
+ * tells whether an error means that an endpoint is not reachable at all
+ * (as opposed to an endpoint answering with an error)
+ * @param err the error
+ * @return true if the endpoint is unreachable
+ */
+var unreachable = function(err)
+{
+  return !err.statusCode;
+};
+
+
+/**
+ * parses an INI file into its sections
+ * @param content the content of the file
+ * @return res {section: {key: value}}
+ */
+var parseIni = function(content)
+{
+  var res = {};
+  var section = null;
+  content.split(/\r?\n/).forEach(function(line)
+  {
+    if (/^\s*[#;]/.test(line) || !line.trim())
+      return;
+    var header = /^\s*\[([^\]]+)\]/.exec(line);
+    if (header)
+    {
+      section = res[header[1].trim()] = res[header[1].trim()] || {};
+      return;
+    }
+    // nested properties (`s3 =` followed by indented lines) are skipped
+    if (/^\s/.test(line) || !section)
+      return;
+    var eq = line.indexOf('=');
+    if (eq !== -1)
+      section[line.substring(0, eq).trim()] = line.substring(eq + 1).trim();
+  });
+  return res;
+};
+
+
+/**
+ * reads a file, treating a missing file as empty
+ * @param file the path of the file
+ * @param cb callback(err, content)
+ */
+var readOptional = function(file, cb)
+{
+  fs.readFile(file, 'utf8', function(err, content)
+  {
+    if (err && err.code === 'ENOENT')
+      cb(null, '');
+    else
+      cb(err, content);
+  });
+};
+
+
+/**
+ * reads the profiles of the shared config and credentials files. Config
+ * sections are named `profile <name>` (except `default`), credentials
+ * sections take precedence over config ones
+ * @param options {filepath, configFilepath, env} (optional)
+ * @param cb callback(err, profiles) profiles is {name: {key: value}}
+ */
+var profiles = function(options, cb)
+{
+  var env = options.env || process.env;
+  var home = env.HOME || os.homedir();
+  var credentialsFile = options.filepath || env.AWS_SHARED_CREDENTIALS_FILE ||
+    path.join(home, '.aws', 'credentials');
+  var configFile = options.configFilepath || env.AWS_CONFIG_FILE || path.join(home, '.aws', 'config');
+
+  readOptional(configFile, function(err, config)
+  {
+    if (err)
+      return cb(credentialsError('unable to read ' + configFile, err));
+    readOptional(credentialsFile, function(err, credentials)
+    {
+      if (err)
+        return cb(credentialsError('unable to read ' + credentialsFile, err));
+      var res = {};
+      var merge = function(name, section)
+      {
+        res[name] = res[name] || {};
+        for (var key in section)
+        {
+          if (section.hasOwnProperty(key))
+            res[name][key] = section[key];
+        }
+      };
+      var sections = parseIni(config);
+      for (var name in sections)
+      {
+        if (sections.hasOwnProperty(name) && (name === 'default' || /^profile\s/.test(name)))
+          merge(name.replace(/^profile\s+/, ''), sections[name]);
+      }
+      sections = parseIni(credentials);
+      for (var name in sections)
+      {
+        if (sections.hasOwnProperty(name))
+          merge(name, sections[name]);
+      }
+      cb(null, res);
+    });
+  });
+};
+
+
+/**
+ * provides the credentials given explicitly to the client, either as
+ * spec.credentials or as top level spec keys
+ * @param spec {credentials: {accessKeyId, secretAccessKey, sessionToken}} or
+ *        {accessKeyId, secretAccessKey, sessionToken, sessionExpires}
+ * @return the provider
+ */
+var fromConfig = function(spec)
+{
+  var config = (spec.credentials && typeof spec.credentials === 'object') ? spec.credentials : spec;
+  return function(cb)
+  {
+    if (!config.accessKeyId || !config.secretAccessKey)
+      return cb(null, null);
+    var expires = config.expiration || config.sessionExpires;
+    cb(null, {
+      accessKeyId: config.accessKeyId,
+      secretAccessKey: config.secretAccessKey,
+      sessionToken: config.sessionToken || config.securityToken,
+      expiration: expires ? new Date(expires) : undefined
+    });
+  };
+};
+
+
+/**
+ * provides credentials from the AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY,
+ * AWS_SESSION_TOKEN and AWS_CREDENTIAL_EXPIRATION environment variables
+ * @param options {env} (optional, defaults to process.env)
+ * @return the provider
+ */
+var fromEnv = function(options)
+{
+  options = options || {};
+  return function(cb)
+  {
+    var env = options.env || process.env;
+    if (!env.AWS_ACCESS_KEY_ID || !env.AWS_SECRET_ACCESS_KEY)
+      return cb(null, null);
+    cb(null, {
+      accessKeyId: env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+      sessionToken: env.AWS_SESSION_TOKEN || env.AWS_SECURITY_TOKEN,
+      expiration: env.AWS_CREDENTIAL_EXPIRATION ? new Date(env.AWS_CREDENTIAL_EXPIRATION) : undefined
+    });
+  };
+};
+
+
+/**
+ * provides credentials printed by an external command, in the
+ * credential_process JSON format {Version: 1, AccessKeyId, SecretAccessKey,
+ * SessionToken, Expiration}
+ * @param command the command line
+ * @param options {timeout} (optional, defaults to 60s)
+ * @return the provider
+ */
+var fromProcess = function(command, options)
+{
+  options = options || {};
+  return function(cb)
+  {
+    child_process.exec(command, {
+      timeout: options.timeout || 60000,
+      env: options.env || process.env
+    }, function(err, stdout)
+    {
+      if (err)
+        return cb(credentialsError('credential_process failed: ' + command, err));
+      try
+      {
+        var json = JSON.parse(stdout);
+        if (json.Version !== 1)
+          throw credentialsError('unsupported credential_process version: ' + json.Version);
+        cb(null, fromJSON(json, 'credential_process'));
+      }
+      catch (err)
+      {
+        cb(err.code === 'CredentialsError' ? err : credentialsError('invalid credential_process output', err));
+      }
+    });
+  };
+};
+
+
+/**
+ * provides the credentials of a profile of the shared config and
+ * credentials files: static keys, a credential_process, or a role_arn
+ * assumed with the credentials of a source_profile, of a credential_source
+ * (Environment, Ec2InstanceMetadata, EcsContainer) or with a
+ * web_identity_token_file
+ * @param options {profile, filepath, configFilepath, env, mfa, region,
+ *        endpoint} (optional) the profile defaults to AWS_PROFILE, then to
+ *        'default'. mfa is the callback of profiles with a mfa_serial (see
+ *        fromAssumeRole), region and endpoint are those of STS
+ * @return the provider
+ */
+var fromIni = function(options)
+{
+  options = options || {};
+  return function(cb)
+  {
+    var env = options.env || process.env;
+    var name = options.profile || env.AWS_PROFILE || 'default';
+    profiles(options, function(err, all)
+    {
+      if (err)
+        return cb(err);
+      var profile = all[name];
+      if (!profile)
+      {
+        // only a profile asked for explicitly is required to exist
+        if (name !== 'default')
+          return cb(credentialsError('profile not found: ' + name));
+        return cb(null, null);
+      }
+      var visited = (options.visited || []).concat([name]);
+      var statics = function(cb)
+      {
+        cb(null, {
+          accessKeyId: profile.aws_access_key_id,
+          secretAccessKey: profile.aws_secret_access_key,
+          sessionToken: profile.aws_session_token,
+          expiration: undefined
+        });
+      };
+
+      if (profile.role_arn)
+      {
+        var role = {
+          roleArn: profile.role_arn,
+          roleSessionName: profile.role_session_name,
+          durationSeconds: profile.duration_seconds ? parseInt(profile.duration_seconds, 10) : undefined,
+          region: options.region || profile.region,
+          endpoint: options.endpoint,
+          env: env
+        };
+        if (profile.web_identity_token_file)
+        {
+          role.webIdentityTokenFile = profile.web_identity_token_file;
+          return fromWebIdentity(role)(cb);
+        }
+
+        role.externalId = profile.external_id;
+        role.serialNumber = profile.mfa_serial;
+        role.mfa = options.mfa;
+        if (profile.source_profile === name && profile.aws_access_key_id)
+          role.source = statics;
+        else if (profile.source_profile)
+        {
+          if (visited.indexOf(profile.source_profile) !== -1)
+            return cb(credentialsError('source_profile cycle: ' + visited.concat([profile.source_profile]).join(' > ')));
+          role.source = fromIni({
+            profile: profile.source_profile,
+            filepath: options.filepath,
+            configFilepath: options.configFilepath,
+            env: env,
+            mfa: options.mfa,
+            region: options.region,
+            endpoint: options.endpoint,
+            visited: visited
+          });
+        }
+        else if (profile.credential_source === 'Environment')
+          role.source = fromEnv({ env: env });
+        else if (profile.credential_source === 'Ec2InstanceMetadata')
+          role.source = fromInstanceMetadata({ env: env });
+        else if (profile.credential_source === 'EcsContainer')
+          role.source = fromContainer({ env: env });
+        else
+          return cb(credentialsError('profile ' + name + ' has a role_arn without source_profile, ' +
+            'credential_source or web_identity_token_file'));
+        return fromAssumeRole(role)(cb);
+      }
+      if (profile.aws_access_key_id && profile.aws_secret_access_key)
+        return statics(cb);
+      if (profile.credential_process)
+        return fromProcess(profile.credential_process, options)(cb);
+      cb(null, null);
+    });
+  };
+};
+
+
+/**
+ * provides the credentials of a role assumed through STS with the
+ * credentials of a source provider. A new session is requested each time
+ * the provider is called: wrap it with cached() (the client does)
+ * @param options {roleArn, roleSessionName, externalId, durationSeconds,
+ *                 policy, serialNumber, mfa, source, region, endpoint, timeout}
+ *        mfa is function(serialNumber, cb) calling cb(err, tokenCode) and is
+ *        required with serialNumber. source defaults to the default chain
+ * @return the provider
+ */
+var fromAssumeRole = function(options)
+{
+  var source = cached(options.source || chain(defaults({})));
+  return function(cb)
+  {
+    source(function(err, credentials)
+    {
+      if (err)
+        return cb(err);
+      var assume = function(tokenCode)
+      {
+        sts.assumeRole({
+          roleArn: options.roleArn,
+          roleSessionName: options.roleSessionName || 'node-dynamodb-' + Date.now(),
+          externalId: options.externalId,
+          durationSeconds: options.durationSeconds,
+          policy: options.policy,
+          serialNumber: options.serialNumber,
+          tokenCode: tokenCode
+        }, {
+          credentials: credentials,
+          region: options.region,
+          endpoint: options.endpoint,
+          timeout: options.timeout
+        }, function(err, credentials)
+        {
+          if (err)
+            return cb(credentialsError('unable to assume role ' + options.roleArn, err));
+          cb(null, credentials);
+        });
+      };
+
+      if (!options.serialNumber)
+        return assume();
+      if (typeof options.mfa !== 'function')
+        return cb(credentialsError('an mfa callback is required for ' + options.serialNumber));
+      options.mfa(options.serialNumber, function(err, tokenCode)
+      {
+        if (err)
+          return cb(credentialsError('no mfa token for ' + options.serialNumber, err));
+        assume(tokenCode);
+      });
+    });
+  };
+};
+
+
+/**
+ * provides the credentials of a role assumed with a web identity token
+ * file (EKS service accounts, ...). The token file is read again on each
+ * call, as it is rotated
+ * @param options {roleArn, roleSessionName, webIdentityTokenFile,
+ *                 durationSeconds, policy, region, endpoint, timeout, env}
+ *        (optional) defaulting to AWS_ROLE_ARN, AWS_ROLE_SESSION_NAME and
+ *        AWS_WEB_IDENTITY_TOKEN_FILE
+ * @return the provider
+ */
+var fromWebIdentity = function(options)
+{
+  options = options || {};
+  return function(cb)
+  {
+    var env = options.env || process.env;
+    var roleArn = options.roleArn || env.AWS_ROLE_ARN;
+    var tokenFile = options.webIdentityTokenFile || env.AWS_WEB_IDENTITY_TOKEN_FILE;
+    if (!roleArn || !tokenFile)
+      return cb(null, null);
+
+    fs.readFile(tokenFile, 'utf8', function(err, token)
+    {
+      if (err)
+        return cb(credentialsError('unable to read web identity token ' + tokenFile, err));
+      sts.assumeRoleWithWebIdentity({
+        roleArn: roleArn,
+        roleSessionName: options.roleSessionName || env.AWS_ROLE_SESSION_NAME || 'node-dynamodb-' + Date.now(),
+        webIdentityToken: token.trim(),
+        durationSeconds: options.durationSeconds,
+        policy: options.policy
+      }, {
+        region: options.region || env.AWS_REGION,
+        endpoint: options.endpoint,
+        timeout: options.timeout
+      }, function(err, credentials)
+      {
+        if (err)
+          return cb(credentialsError('unable to assume role ' + roleArn + ' with web identity', err));
+        cb(null, credentials);
+      });
+    });
+  };
+};
+
+
+/**
+ * tells whether credentials can be fetched over plain http from a full
+ * container credentials URI
+ * @param target the URL
+ * @return true for https, or http to a loopback or container host
+ */
+var containerHostAllowed = function(target)
+{
+  var parsed = url.parse(target);
+  if (parsed.protocol === 'https:')
+    return true;
+  var hostname = (parsed.hostname || '').toLowerCase();
+  return parsed.protocol === 'http:' &&
+    (CONTAINER_HOSTS.indexOf(hostname) !== -1 || /^127\.\d+\.\d+\.\d+$/.test(hostname));
+};
+
+
+/**
+ * provides the credentials of an ECS task or any container credentials
+ * endpoint, set through AWS_CONTAINER_CREDENTIALS_RELATIVE_URI or
+ * AWS_CONTAINER_CREDENTIALS_FULL_URI (with AWS_CONTAINER_AUTHORIZATION_TOKEN
+ * or AWS_CONTAINER_AUTHORIZATION_TOKEN_FILE). A full URI over http must
+ * point to a loopback address or to the ECS or EKS endpoints
+ * @param options {env, host, timeout} (optional) host defaults to
+ *        http://169.254.170.2 for relative URIs
+ * @return the provider
+ */
+var fromContainer = function(options)
+{
+  options = options || {};
+  return function(cb)
+  {
+    var env = options.env || process.env;
+    var target;
+    if (env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI)
+      target = (options.host || 'http://169.254.170.2') + env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI;
+    else if (env.AWS_CONTAINER_CREDENTIALS_FULL_URI)
+    {
+      target = env.AWS_CONTAINER_CREDENTIALS_FULL_URI;
+      if (!containerHostAllowed(target))
+        return cb(credentialsError('AWS_CONTAINER_CREDENTIALS_FULL_URI is not https, loopback or a container host: ' +
+                                   target));
+    }
+    else
+      return cb(null, null);
+
+    var request = function(token)
+    {
+      var headers = {};
+      if (token)
+        headers.authorization = token.trim();
+      fetch(target, { headers: headers, timeout: options.timeout }, function(err, body)
+      {
+        if (err)
+          return cb(credentialsError('container credentials unavailable', err));
+        try
+        {
+          cb(null, fromJSON(JSON.parse(body), 'container credentials'));
+        }
+        catch (err)
+        {
+          cb(err.code === 'CredentialsError' ? err : credentialsError('invalid container credentials', err));
+        }
+      });
+    };
+
+    if (env.AWS_CONTAINER_AUTHORIZATION_TOKEN_FILE)
+    {
+      fs.readFile(env.AWS_CONTAINER_AUTHORIZATION_TOKEN_FILE, 'utf8', function(err, token)
+      {
+        if (err)
+          return cb(credentialsError('unable to read container authorization token', err));
+        request(token);
+      });
+    }
+    else
+      request(env.AWS_CONTAINER_AUTHORIZATION_TOKEN);
+  };
+};
+
+
+/**
+ * provides the credentials of the role of an EC2 instance from its
+ * metadata service, using a session token (IMDSv2) when the service issues
+ * one. An unreachable service means there are no credentials to offer
+ * @param options {endpoint, timeout, env} (optional) endpoint defaults to
+ *        AWS_EC2_METADATA_SERVICE_ENDPOINT, then to http://169.254.169.254
+ * @return the provider
+ */
+var fromInstanceMetadata = function(options)
+{
+  options = options || {};
+  return function(cb)
+  {
+    var env = options.env || process.env;
+    if (env.AWS_EC2_METADATA_DISABLED === 'true')
+      return cb(null, null);
+    var endpoint = (options.endpoint || env.AWS_EC2_METADATA_SERVICE_ENDPOINT ||
+      'http://169.254.169.254').replace(/\/$/, '');
+    var base = endpoint + '/latest/meta-data/iam/security-credentials/';
+
+    fetch(endpoint + '/latest/api/token', {
+      method: 'PUT',
+      headers: { 'x-aws-ec2-metadata-token-ttl-seconds': '21600' },
+      timeout: options.timeout
+    }, function(err, token)
+    {
+      if (err && unreachable(err))
+        return cb(null, null);
+      // services without IMDSv2 are queried without token
+      var headers = err ? {} : { 'x-aws-ec2-metadata-token': token };
+
+      fetch(base, { headers: headers, timeout: options.timeout }, function(err, roles)
+      {
+        if (err && (unreachable(err) || err.statusCode === 404))
+          return cb(null, null);
+        if (err)
+          return cb(credentialsError('instance metadata unavailable', err));
+        var role = roles.split('\n')[0].trim();
+        if (!role)
+          return cb(null, null);
+
+        fetch(base + encodeURIComponent(role), { headers: headers, timeout: options.timeout }, function(err, body)
+        {
+          if (err)
+            return cb(credentialsError('instance metadata unavailable for role ' + role, err));
+          try
+          {
+            cb(null, fromJSON(JSON.parse(body), 'instance metadata'));
+          }
+          catch (err)
+          {
+            cb(err.code === 'CredentialsError' ? err : credentialsError('invalid instance metadata', err));
+          }
+        });
+      });
+    });
+  };
+};
+
+
+/**
+ * tries providers in order, until one of them provides credentials or
+ * fails
+ * @param providers array of providers
+ * @return the provider
+ */
+var chain = function(providers)
+{
+  return function(cb)
+  {
+    (function next(i)
+    {
+      if (i >= providers.length)
+        return cb(null, null);
+      providers[i](function(err, credentials)
+      {
+        if (err || credentials)
+          cb(err, credentials);
+        else
+          next(i + 1);
+      });
+    })(0);
+  };
+};
+
+
+/**
+ * the default chain: explicit config, environment, shared files, web
+ * identity token file, container and instance metadata
+ * @param spec the client spec (see fromConfig) and {profile, mfa}
+ * @return array of providers
+ */
+var defaults = function(spec)
+{
+  spec = spec || {};
+  return [
+    fromConfig(spec),
+    fromEnv(),
+    fromIni({ profile: spec.profile, mfa: spec.mfa }),
+    fromWebIdentity(),
+    fromContainer(),
+    fromInstanceMetadata()
+  ];
+};
+
+
+/**
+ * caches the credentials of a provider, resolving them again when they are
+ * about to expire. Concurrent calls wait on a single resolution. A failed
+ * refresh keeps serving credentials that have not expired yet
+ * @param provider the provider
+ * @param options {expiryWindow} time in ms before expiration at which the
+ *        credentials are refreshed (optional, defaults to 5 minutes)
+ * @return the provider, with an expire() method forcing a refresh
+ */
+var cached = function(provider, options)
+{
+  options = options || {};
+  var expiryWindow = typeof options.expiryWindow === 'number' ? options.expiryWindow : EXPIRY_WINDOW;
+  var current = null;
+  var waiting = null;
+
+  var valid = function(credentials, margin)
+  {
+    return credentials && (!credentials.expiration ||
+      credentials.expiration.getTime() - margin > Date.now());
+  };
+
+  var get = function(cb)
+  {
+    if (valid(current, expiryWindow))
+      return cb(null, current);
+    if (waiting)
+      return waiting.push(cb);
+    waiting = [cb];
+    provider(function(err, credentials)
+    {
+      if (!err && !credentials)
+        err = credentialsError('no credentials found in the provider chain');
+      if (!err)
+        current = credentials;
+      else if (valid(current, 0))
+        err = null;
+      var callbacks = waiting;
+      waiting = null;
+      callbacks.forEach(function(callback)
+      {
+        callback(err, err ? null : current);
+      });
+    });
+  };
+
+  get.expire = function()
+  {
+    current = null;
+  };
+
+  return get;
+};
+
+
+exports.fromConfig = fromConfig;
+exports.fromEnv = fromEnv;
+exports.fromIni = fromIni;
+exports.fromProcess = fromProcess;
+exports.fromAssumeRole = fromAssumeRole;
+exports.fromWebIdentity = fromWebIdentity;
+exports.fromContainer = fromContainer;
+exports.fromInstanceMetadata = fromInstanceMetadata;
+exports.chain = chain;
+exports.defaults = defaults;
+exports.cached = cached;
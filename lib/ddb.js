@@ -19,19 +19,243 @@
 // OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
 // USE OR OTHER DEALINGS IN THE SOFTWARE.
 
-var http = require('http');
-var https = require('https');
 var crypto = require('crypto');
 var events = require('events');
+var stream = require('stream');
 var Signer = require('./aws-signer');
+var credentials = require('./credentials');
+var expressions = require('./expressions');
+var retries = require('./retry');
+var errors = require('./errors');
+var transport = require('./transport');
+var logging = require('./logger');
 var fwk = require('fwk');
 
+var sets = new WeakSet();
+
+/**
+ * A DynamoDB set of strings (SS), numbers (NS) or binaries (BS). JS arrays
+ * are stored as lists (L), sets must be wrapped explicitly. Sets read from
+ * DynamoDB are returned wrapped as well.
+ * @param values array of strings, numbers or binaries
+ * @param type 'SS', 'NS' or 'BS' (optional, inferred from the values when
+ *        the set is written)
+ * @return the set {type, values}
+ */
+var set = function(values, type)
+{
+  var that = {
+    type: type,
+    values: Array.prototype.slice.call(values || [])
+  };
+
+  that.contains = function(value)
+  {
+    return that.values.indexOf(value) !== -1;
+  };
+
+  that.toJSON = function()
+  {
+    return that.values;
+  };
+
+  sets.add(that);
+  return that;
+};
+
+
+/**
+ * tells whether a value is a set built with set()
+ * @param value the value
+ * @return true if the value is a set
+ */
+var isSet = function(value)
+{
+  return typeof value === 'object' && value !== null && sets.has(value);
+};
+
+
+/**
+ * The phases of a request, in order, middlewares can be registered for
+ * (see use())
+ */
+var PHASES = ['before-marshal', 'before-sign', 'after-send', 'after-unmarshal', 'on-error'];
+
+
+var crcTable = null;
+
+/**
+ * CRC32 (IEEE) of a buffer, as DynamoDB computes it for its x-amz-crc32
+ * response header
+ * @param buf the buffer
+ * @return the unsigned CRC32
+ */
+var crc32 = function(buf)
+{
+  if (!crcTable)
+  {
+    crcTable = [];
+    for (var n = 0; n < 256; n++)
+    {
+      var c = n;
+      for (var k = 0; k < 8; k++)
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      crcTable[n] = c >>> 0;
+    }
+  }
+  var crc = 0xFFFFFFFF;
+  for (var i = 0; i < buf.length; i++)
+    crc = crcTable[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+
+/**
+ * builds the error of a value or request that can't be converted to its
+ * DynamoDB counterpart
+ * @param message the message
+ * @return the error
+ */
+var invalid = function(message)
+{
+  return errors.create(message, { code: 'ValidationError' });
+};
+
+
+/**
+ * Built-in type converters. A converter is {test, marshal, unmarshal, read}:
+ * - test(value) tells whether a native value is handled when writing
+ * - marshal(value) returns the value to store in its place (undefined to
+ *   omit the attribute)
+ * - unmarshal(value) converts the value read back from DynamoDB
+ * - read(value) (optional) tells whether a value read from DynamoDB is
+ *   unmarshalled without an attribute hint
+ * Built-ins are only applied once enabled on a client (spec.converters).
+ */
+var converters = {
+  dateISO: {
+    test: function(value)
+    {
+      return value instanceof Date;
+    },
+    marshal: function(value)
+    {
+      return value.toISOString();
+    },
+    unmarshal: function(value)
+    {
+      return new Date(value);
+    }
+  },
+  dateEpoch: {
+    test: function(value)
+    {
+      return value instanceof Date;
+    },
+    marshal: function(value)
+    {
+      return value.getTime();
+    },
+    unmarshal: function(value)
+    {
+      return new Date(Number(value));
+    }
+  },
+  esSet: {
+    test: function(value)
+    {
+      return value instanceof Set;
+    },
+    marshal: function(value)
+    {
+      return set(Array.from(value));
+    },
+    unmarshal: function(value)
+    {
+      return new Set(isSet(value) ? value.values : value);
+    },
+    read: function(value)
+    {
+      return isSet(value);
+    }
+  },
+  esMap: {
+    test: function(value)
+    {
+      return value instanceof Map;
+    },
+    marshal: function(value)
+    {
+      var res = {};
+      value.forEach(function(v, k)
+      {
+        if (typeof k !== 'string')
+          throw invalid('Non Compatible Map [keys must be strings]: ' + k);
+        res[k] = v;
+      });
+      return res;
+    },
+    unmarshal: function(value)
+    {
+      return new Map(Object.keys(value).map(function(k)
+      {
+        return [k, value[k]];
+      }));
+    }
+  },
+  omitUndefined: {
+    test: function(value)
+    {
+      return value === undefined;
+    },
+    marshal: function()
+    {
+      return undefined;
+    },
+    unmarshal: function(value)
+    {
+      return value;
+    }
+  }
+};
+
+
 /**
  * The DynamoDb Object
  *
  * @extends events.EventEmitter
  *
- * @param spec {secretAccessKey, accessKeyId, endpoint, agent, region, sessionToken, sessionExpires}
+ * @param spec {credentials, secretAccessKey, accessKeyId, sessionToken, sessionExpires, profile,
+ *              mfa, endpoint, port, https, agent, maxSockets, keepAlive, proxy, ca,
+ *              request, region, numbers, converters, hints, timeout,
+ *              connectTimeout, signal, retries, retry, checksums, middleware,
+ *              logger, logLevel, redact}
+ *        credentials is {accessKeyId, secretAccessKey, sessionToken} or a
+ *        provider function(cb) (see credentials.js). Without explicit keys,
+ *        the default provider chain is used: environment, shared config
+ *        files (profile), web identity token file, container and instance
+ *        metadata. mfa is function(serialNumber, cb) giving the MFA codes of
+ *        profiles with a mfa_serial
+ *        endpoint is a host or a URL ('http://localhost:8000'), port, https,
+ *        agent, maxSockets, keepAlive, proxy, ca and request configure the
+ *        HTTP transport of the client (see transport.js)
+ *        numbers is how N values are read: 'float' (default), 'bigint' (BigInt
+ *        for integers beyond Number.MAX_SAFE_INTEGER), 'string', or a decimal
+ *        wrapper {parse: function(str), test: function(value)}
+ *        converters is the list of converters applied to every item: names
+ *        of built-ins ('dateISO', 'dateEpoch', 'esSet', 'esMap',
+ *        'omitUndefined') or {name, test, marshal, unmarshal, read} objects
+ *        hints maps attribute paths ('createdAt', 'meta.tags', 'events[].at')
+ *        to the name of the converter used for them, enabled or not
+ *        timeout, connectTimeout (ms) and signal (AbortSignal) apply to all
+ *        the requests, calls can override them in their options
+ *        retry is a retry policy (see retry.js) or the spec of the default
+ *        one, retries is its number of retries (defaults to 3)
+ *        checksums: false skips the x-amz-crc32 check of the responses
+ *        middleware is a list of {phase, fn, priority} registered with use()
+ *        logger receives the records of the requests at logLevel ('error',
+ *        'warn', 'info' or 'debug'), redacting the values of the attributes
+ *        named in redact (see logger.js)
  */
 
 var ddb = function(spec, my)
@@ -41,31 +265,42 @@ var ddb = function(spec, my)
   var _super = {};
 
 
-  my.accessKeyId = spec.credentials.accessKeyId;
-  my.secretAccessKey = spec.credentials.secretAccessKey;
-  my.endpoint = spec.endpoint || 'dynamodb.us-east-1.amazonaws.com';
-  my.port = spec.port || 80;
-  my.agent = spec.agent;
-
-  my.retries = spec.retries || 3;
-
-  // Use already obtained temporary session credentials
-  if (spec.sessionToken && spec.sessionExpires)
-  {
-    my.access = {
-      sessionToken: spec.sessionToken,
-      secretAccessKey: spec.secretAccessKey,
-      accessKeyId: spec.accessKeyId,
-      expiration: spec.sessionExpires
-    };
-  }
-
-
-  https.globalAgent.maxSockets = spec.maxHttpSockets;
-  http.globalAgent.maxSockets = spec.maxHttpSockets;
+  my.credentials = credentials.cached(typeof spec.credentials === 'function' ?
+    spec.credentials : credentials.chain(credentials.defaults(spec)));
+  my.transport = transport.transport({
+    endpoint: spec.endpoint,
+    port: spec.port,
+    https: spec.https,
+    agent: spec.agent,
+    maxSockets: spec.maxSockets || spec.maxHttpSockets,
+    keepAlive: spec.keepAlive,
+    proxy: spec.proxy,
+    ca: spec.ca,
+    request: spec.request
+  });
+  my.region = spec.region || (/^dynamodb\.([a-z0-9-]+)\.amazonaws\.com/.exec(my.transport.hostname) || [])[1] ||
+    process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
+
+  my.retry = (spec.retry && typeof spec.retry.decide === 'function') ? spec.retry :
+    retries.policy(spec.retry || { maxAttempts: (typeof spec.retries === 'number' ? spec.retries : 3) + 1 });
+  my.timeout = spec.timeout;
+  my.connectTimeout = spec.connectTimeout;
+  my.signal = spec.signal;
+  my.checksums = spec.checksums !== false;
+  my.numbers = spec.numbers || 'float';
+  my.converters = {};
+  my.enabled = [];
+  my.hints = spec.hints || {};
+  my.middleware = [];
+  my.sequence = 0;
+
+  if (['float', 'bigint', 'string'].indexOf(my.numbers) === -1 &&
+      (typeof my.numbers.parse !== 'function' || typeof my.numbers.test !== 'function'))
+    throw new Error('Invalid Numbers Mode [float|bigint|string|{test,parse}]: ' + my.numbers);
 
   my.inAuth = false;
   my.consumedCapacity = 0;
+  my.keyAttributes = {};
   my.schemaTypes = {
     number: 'N',
     string: 'S',
@@ -86,14 +321,62 @@ var ddb = function(spec, my)
   var updateItem;
   var query;
   var scan;
+  var parallelScan;
+  var queryStream;
+  var scanStream;
+  var writeStream;
+  var queryIterator;
+  var scanIterator;
+  var listTablesIterator;
   var batchGetItem;
   var batchWriteItem;
+  var transactWrite;
+  var bulkWrite;
+  var bulkGet;
+  var transactGet;
+  var registerConverter;
+  var use;
 
   // private
+  var defineAttribute;
+  var keySchemaToDDB;
+  var throughputToDDB;
+  var indexToDDB;
   var scToDDB;
+  var setToDDB;
+  var isNumber;
+  var numberToDDB;
+  var numberFromDDB;
+  var isBinary;
+  var binaryToDDB;
   var objToDDB;
+  var mapToDDB;
+  var typeToDDB;
+  var convertToDDB;
+  var writeConverter;
+  var convertFromDDB;
+  var converterFor;
   var objFromDDB;
+  var valueFromDDB;
   var arrFromDDB;
+  var promised;
+  var named;
+  var withCapacity;
+  var withStartKey;
+  var paginate;
+  var pageStream;
+  var batchGetPartToDDB;
+  var unprocessedDelay;
+  var eachLimit;
+  var keyAttributes;
+  var writeChunk;
+  var conditionToDDB;
+  var conditionFailure;
+  var transactItemToDDB;
+  var sumCapacity;
+  var toMiddleware;
+  var middlewareStack;
+  var runMiddleware;
   var execute;
   var auth;
 
@@ -107,37 +390,109 @@ var ddb = function(spec, my)
    * It returns details of the table.
    * @param table the name of the table
    * @param keySchema {hash: [attribute, type]} or {hash: [attribute, type], range: [attribute, type]}
-   * @param provisionedThroughput {write: X, read: Y}
+   * @param provisionedThroughput {write: X, read: Y} (ignored with billingMode PAY_PER_REQUEST)
+   * @param options {attributeDefinitions, globalSecondaryIndexes, localSecondaryIndexes,
+   *                 billingMode, stream, sse} (optional)
+   *        indexes are [{name, hash: [attribute, type], range: [attribute, type],
+   *                      projection: 'ALL'|'KEYS_ONLY'|[attributes], throughput: {write: X, read: Y}}]
    * @param cb callback(err, tableDetails) err is set if an error occured
    */
-  createTable = function(table, keySchema, provisionedThroughput, cb)
+  createTable = function(table, keySchema, provisionedThroughput, options, cb)
   {
-    var data = {};
-    data.TableName = table;
-    data.KeySchema = {};
-    data.ProvisionedThroughput = {};
-    if (keySchema.hash && keySchema.hash.length == 2)
+    if (typeof options === 'function')
     {
-      data.KeySchema.HashKeyElement = {
-        AttributeName: keySchema.hash[0],
-        AttributeType: keySchema.hash[1]
-      };
+      cb = options;
+      options = {};
     }
-    if (keySchema.range && keySchema.range.length == 2)
+    options = options || {};
+
+    var data = {};
+    try
     {
-      data.KeySchema.RangeKeyElement = {
-        AttributeName: keySchema.range[0],
-        AttributeType: keySchema.range[1]
-      };
+      var attributes = {};
+      data.TableName = table;
+      data.KeySchema = keySchemaToDDB(keySchema, attributes);
+
+      if (options.billingMode)
+      {
+        data.BillingMode = options.billingMode;
+      }
+      var provisioned = (options.billingMode !== 'PAY_PER_REQUEST');
+      if (provisioned)
+      {
+        data.ProvisionedThroughput = throughputToDDB(provisionedThroughput);
+      }
+
+      if (options.globalSecondaryIndexes)
+      {
+        data.GlobalSecondaryIndexes = options.globalSecondaryIndexes.map(function(index)
+        {
+          var gsi = indexToDDB(index, attributes);
+          if (provisioned)
+          {
+            gsi.ProvisionedThroughput = throughputToDDB(index.throughput || provisionedThroughput);
+          }
+          return gsi;
+        });
+      }
+      if (options.localSecondaryIndexes)
+      {
+        data.LocalSecondaryIndexes = options.localSecondaryIndexes.map(function(index)
+        {
+          return indexToDDB(index, attributes);
+        });
+      }
+
+      for (var i in options.attributeDefinitions)
+      {
+        if (options.attributeDefinitions.hasOwnProperty(i))
+        {
+          defineAttribute(attributes, i, options.attributeDefinitions[i]);
+        }
+      }
+      data.AttributeDefinitions = [];
+      for (var i in attributes)
+      {
+        data.AttributeDefinitions.push(
+        {
+          AttributeName: i,
+          AttributeType: attributes[i]
+        });
+      }
+
+      if (options.stream)
+      {
+        var viewType = (typeof options.stream === 'string') ? options.stream : options.stream.viewType;
+        data.StreamSpecification = {
+          StreamEnabled: options.stream.enabled !== false
+        };
+        if (data.StreamSpecification.StreamEnabled)
+        {
+          data.StreamSpecification.StreamViewType = viewType || 'NEW_AND_OLD_IMAGES';
+        }
+      }
+
+      if (options.sse)
+      {
+        data.SSESpecification = {
+          Enabled: options.sse.enabled !== false
+        };
+        if (options.sse.type)
+        {
+          data.SSESpecification.SSEType = options.sse.type;
+        }
+        if (options.sse.kmsKeyId)
+        {
+          data.SSESpecification.KMSMasterKeyId = options.sse.kmsKeyId;
+        }
+      }
     }
-    if (provisionedThroughput)
+    catch (err)
     {
-      if (provisionedThroughput.read)
-        data.ProvisionedThroughput.ReadCapacityUnits = provisionedThroughput.read;
-      if (provisionedThroughput.write)
-        data.ProvisionedThroughput.WriteCapacityUnits = provisionedThroughput.write;
+      cb(errors.wrap('CreateTable', err, { table: table }));
+      return;
     }
-    execute('CreateTable', data, function(err, res)
+    execute('CreateTable', data, options, function(err, res)
     {
       if (err)
       {
@@ -156,21 +511,21 @@ var ddb = function(spec, my)
    * It returns details of the table.
    * @param table the name of the table
    * @param provisionedThroughput {write: X, read: Y}
+   * @param options {timeout, connectTimeout, signal} (optional)
    * @param cb callback(err, tableDetails) err is set if an error occured
    */
-  updateTable = function(table, provisionedThroughput, cb)
+  updateTable = function(table, provisionedThroughput, options, cb)
   {
-    var data = {};
-    data.TableName = table;
-    data.ProvisionedThroughput = {};
-    if (provisionedThroughput)
+    if (typeof options === 'function')
     {
-      if (provisionedThroughput.read)
-        data.ProvisionedThroughput.ReadCapacityUnits = provisionedThroughput.read;
-      if (provisionedThroughput.write)
-        data.ProvisionedThroughput.WriteCapacityUnits = provisionedThroughput.write;
+      cb = options;
+      options = {};
     }
-    execute('UpdateTable', data, function(err, res)
+    options = options || {};
+    var data = {};
+    data.TableName = table;
+    data.ProvisionedThroughput = throughputToDDB(provisionedThroughput);
+    execute('UpdateTable', data, options, function(err, res)
     {
       if (err)
       {
@@ -188,13 +543,20 @@ var ddb = function(spec, my)
    * The DeleteTable operation deletes a table and all of its items
    * It returns details of the table
    * @param table the name of the table
+   * @param options {timeout, connectTimeout, signal} (optional)
    * @param cb callback(err, tableDetails) err is set if an error occured
    */
-  deleteTable = function(table, cb)
+  deleteTable = function(table, options, cb)
   {
+    if (typeof options === 'function')
+    {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
     var data = {};
     data.TableName = table;
-    execute('DeleteTable', data, function(err, res)
+    execute('DeleteTable', data, options, function(err, res)
     {
       if (err)
       {
@@ -220,7 +582,7 @@ var ddb = function(spec, my)
       data.Limit = options.limit;
     if (options.exclusiveStartTableName)
       data.ExclusiveStartTableName = options.exclusiveStartTableName;
-    execute('ListTables', data, cb);
+    execute('ListTables', data, options, cb);
   };
 
 
@@ -228,13 +590,20 @@ var ddb = function(spec, my)
    * returns information about the table, including the current status of the table,
    * the primary key schema and when the table was created
    * @param table the table name
+   * @param options {timeout, connectTimeout, signal} (optional)
    * @param cb callback(err, tables) err is set if an error occured
    */
-  describeTable = function(table, cb)
+  describeTable = function(table, options, cb)
   {
+    if (typeof options === 'function')
+    {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
     var data = {};
     data.TableName = table;
-    execute('DescribeTable', data, function(err, res)
+    execute('DescribeTable', data, options, function(err, res)
     {
       if (err)
       {
@@ -251,9 +620,8 @@ var ddb = function(spec, my)
   /**
    * returns a set of Attributes for an item that matches the primary key.
    * @param table the tableName
-   * @param hash the hashKey
-   * @param range the rangeKey
-   * @param options {attributesToGet, consistentRead}
+   * @param keys the hash key and optional range key
+   * @param options {attributesToGet, projectionExpression, expressionAttributeNames, consistentRead}
    * @param cb callback(err, tables) err is set if an error occured
    */
   getItem = function(table, keys, options, cb)
@@ -261,19 +629,28 @@ var ddb = function(spec, my)
     var data = {};
     try
     {
+      options = expressions.resolve(options);
       data.TableName = table;
       data.Key = {};
       for (var i in keys)
       {
         if (keys.hasOwnProperty(i))
         {
-          data.Key[i] = scToDDB(keys[i]);
+          data.Key[i] = scToDDB(keys[i], i);
         }
       }
       if (options.attributesToGet)
       {
         data.AttributesToGet = options.attributesToGet;
       }
+      if (options.projectionExpression)
+      {
+        data.ProjectionExpression = options.projectionExpression;
+      }
+      if (options.expressionAttributeNames)
+      {
+        data.ExpressionAttributeNames = options.expressionAttributeNames;
+      }
       if (options.consistentRead)
       {
         data.ConsistentRead = options.consistentRead;
@@ -281,10 +658,10 @@ var ddb = function(spec, my)
     }
     catch (err)
     {
-      cb(err);
+      cb(errors.wrap('GetItem', err, { table: table }));
       return;
     }
-    execute('GetItem', data, function(err, res)
+    execute('GetItem', data, options, function(err, res)
     {
       if (err)
       {
@@ -292,17 +669,18 @@ var ddb = function(spec, my)
       }
       else
       {
-        my.consumedCapacity += res.ConsumedCapacity.CapacityUnits;
+        var capacity = sumCapacity(res.ConsumedCapacity);
+        my.consumedCapacity += capacity;
         try
         {
           var item = objFromDDB(res.Item);
         }
         catch (err)
         {
-          cb(err);
+          cb(errors.wrap('GetItem', err, { table: table }));
           return;
         }
-        cb(null, item, res.ConsumedCapacity.CapacityUnits);
+        cb(null, item, capacity);
       }
     });
   };
@@ -318,17 +696,20 @@ var ddb = function(spec, my)
    * format for convenience.
    * @param table the tableName
    * @param item the item to put (string/number/string array dictionary)
-   * @param options {expected, returnValues}
-   * @param cb callback(err, attrs, consumedCapUnits) err is set if an error occured
+   * @param options {expected, returnValues, conditionExpression, expressionAttributeNames,
+   *                 expressionAttributeValues, returnValuesOnConditionCheckFailure}
+   * @param cb callback(err, attrs, consumedCapUnits) err is set if an error occured.
+   *        err.item holds the current item if the condition failed and
+   *        returnValuesOnConditionCheckFailure is 'ALL_OLD'
    */
   putItem = function(table, item, options, cb)
   {
     var data = {};
     try
     {
+      options = expressions.resolve(options);
       data.TableName = table;
       data.Item = objToDDB(item);
-      //console.log('ITEM:==' + JSON.stringify(data) + '==');
       if (options.expected)
       {
         data.Expected = {};
@@ -341,7 +722,7 @@ var ddb = function(spec, my)
           }
           if (typeof options.expected[i].value !== 'undefined')
           {
-            data.Expected[i].Value = scToDDB(options.expected[i].value);
+            data.Expected[i].Value = scToDDB(options.expected[i].value, i);
           }
         }
       }
@@ -349,31 +730,33 @@ var ddb = function(spec, my)
       {
         data.ReturnValues = options.returnValues;
       }
+      conditionToDDB(options, data);
     }
     catch (err)
     {
-      cb(err);
+      cb(errors.wrap('PutItem', err, { table: table }));
       return;
     }
-    execute('PutItem', data, function(err, res)
+    execute('PutItem', data, options, function(err, res)
     {
       if (err)
       {
-        cb(err)
+        cb(conditionFailure(err))
       }
       else
       {
-        my.consumedCapacity += res.ConsumedCapacity.CapacityUnits;
+        var capacity = sumCapacity(res.ConsumedCapacity);
+        my.consumedCapacity += capacity;
         try
         {
           var attr = objFromDDB(res.Attributes);
         }
         catch (err)
         {
-          cb(err);
+          cb(errors.wrap('PutItem', err, { table: table }));
           return;
         }
-        cb(null, attr, res.ConsumedCapacity.CapacityUnits);
+        cb(null, attr, capacity);
       }
     });
   };
@@ -384,23 +767,26 @@ var ddb = function(spec, my)
    * delete operation that deletes the item if it exists, or if it has an expected
    * attribute value.
    * @param table the tableName
-   * @param hash the hashKey
-   * @param range the rangeKey
-   * @param options {expected, returnValues}
-   * @param cb callback(err, attrs, consumedCapUnits) err is set if an error occured
+   * @param keys the hash key and optional range key
+   * @param options {expected, returnValues, conditionExpression, expressionAttributeNames,
+   *                 expressionAttributeValues, returnValuesOnConditionCheckFailure}
+   * @param cb callback(err, attrs, consumedCapUnits) err is set if an error occured.
+   *        err.item holds the current item if the condition failed and
+   *        returnValuesOnConditionCheckFailure is 'ALL_OLD'
    */
   deleteItem = function(table, keys, options, cb)
   {
     var data = {};
     try
     {
+      options = expressions.resolve(options);
       data.TableName = table;
       data.Key = {};
       for (var i in keys)
       {
         if (keys.hasOwnProperty(i))
         {
-          data.Key[i] = scToDDB(keys[i]);
+          data.Key[i] = scToDDB(keys[i], i);
         }
       }
       if (options.expected)
@@ -415,37 +801,39 @@ var ddb = function(spec, my)
           }
           if (typeof options.expected[i].value !== 'undefined')
           {
-            data.Expected[i].Value = scToDDB(options.expected[i].value);
+            data.Expected[i].Value = scToDDB(options.expected[i].value, i);
           }
         }
       }
       if (options.returnValues)
         data.ReturnValues = options.returnValues;
+      conditionToDDB(options, data);
     }
     catch (err)
     {
-      cb(err);
+      cb(errors.wrap('DeleteItem', err, { table: table }));
       return;
     }
-    execute('DeleteItem', data, function(err, res)
+    execute('DeleteItem', data, options, function(err, res)
     {
       if (err)
       {
-        cb(err)
+        cb(conditionFailure(err))
       }
       else
       {
-        my.consumedCapacity += res.ConsumedCapacity.CapacityUnits;
+        var capacity = sumCapacity(res.ConsumedCapacity);
+        my.consumedCapacity += capacity;
         try
         {
           var attr = objFromDDB(res.Attributes);
         }
         catch (err)
         {
-          cb(err);
+          cb(errors.wrap('DeleteItem', err, { table: table }));
           return;
         }
-        cb(null, attr, res.ConsumedCapacity.CapacityUnits);
+        cb(null, attr, capacity);
       }
     });
   };
@@ -455,28 +843,29 @@ var ddb = function(spec, my)
    * Updates an item with the supplied update orders.
    * @param table the tableName
    * @param keys the hash key and optional range key
-   * @param options {expected, returnValues, updateExpression, attributeUpdates}
-   * @param cb callback(err, attrs, consumedCapUnits) err is set if an error occured
+   * @param options {returnValues, updateExpression, attributeUpdates, conditionExpression,
+   *                 expressionAttributeNames, expressionAttributeValues,
+   *                 returnValuesOnConditionCheckFailure}
+   * @param cb callback(err, attrs, consumedCapUnits) err is set if an error occured.
+   *        err.item holds the current item if the condition failed and
+   *        returnValuesOnConditionCheckFailure is 'ALL_OLD'
    */
   updateItem = function(table, keys, options, cb)
   {
     var data = {};
     try
     {
+      options = expressions.resolve(options);
       data.Key = {};
       for (var i in keys)
       {
         if (keys.hasOwnProperty(i))
         {
-          data.Key[i] = scToDDB(keys[i]);
+          data.Key[i] = scToDDB(keys[i], i);
         }
       }
       data.TableName = table;
-
-      if (options.conditionExpression)
-      {
-        data.ConditionExpression = options.conditionExpression;
-      }
+      conditionToDDB(options, data);
 
       if (options.updateExpression)
       {
@@ -490,27 +879,9 @@ var ddb = function(spec, my)
         {
           if (options.attributeUpdates.hasOwnProperty(i))
           {
-            data.AttributeUpdates[i] = {Action:options.attributeUpdates[i].action, Value:scToDDB(options.attributeUpdates[i].value)};
-          }
-        }
-      }
-
-      if (options.expressionAttributeValues)
-      {
-        var attr = {};
-        for (var i in options.expressionAttributeValues)
-        {
-          if (options.expressionAttributeValues.hasOwnProperty(i))
-          {
-            attr[i] = scToDDB(options.expressionAttributeValues[i]);
+            data.AttributeUpdates[i] = {Action:options.attributeUpdates[i].action, Value:scToDDB(options.attributeUpdates[i].value, i)};
           }
         }
-        data.ExpressionAttributeValues = attr;
-      }
-
-      if (options.expressionAttributeNames)
-      {
-        data.ExpressionAttributeNames = options.expressionAttributeNames;
       }
 
       if (options.attributesToGet)
@@ -528,29 +899,29 @@ var ddb = function(spec, my)
     }
     catch (err)
     {
-      cb(err);
+      cb(errors.wrap('UpdateItem', err, { table: table }));
       return;
     }
-    //console.log(require('util').inspect(data, false, 20));
-    execute('UpdateItem', data, function(err, res)
+    execute('UpdateItem', data, options, function(err, res)
     {
       if (err)
       {
-        cb(err)
+        cb(conditionFailure(err))
       }
       else
       {
-        my.consumedCapacity += res.ConsumedCapacity.CapacityUnits;
+        var capacity = sumCapacity(res.ConsumedCapacity);
+        my.consumedCapacity += capacity;
         try
         {
           var attr = objFromDDB(res.Attributes);
         }
         catch (err)
         {
-          cb(err);
+          cb(errors.wrap('UpdateItem', err, { table: table }));
           return;
         }
-        cb(null, attr, res.ConsumedCapacity.CapacityUnits);
+        cb(null, attr, capacity);
       }
     });
   };
@@ -558,13 +929,25 @@ var ddb = function(spec, my)
 
   /**
    * An object representing a table query, or an array of such objects
-   * { 'table': { keys: [1, 2, 3], attributesToGet: ['user', 'status'] } }
-   *           or keys: [['id', 'range'], ['id2', 'range2']]
-   * @param cb callback(err, tables) err is set if an error occured
+   * { 'table': { keys: [{id: 1}, {id: 2}], attributesToGet: ['user', 'status'] } }
+   *           or keys: [{id: 'id', range: 'range'}, {id: 'id2', range: 'range2'}]
+   * Several objects for the same table are merged into one request, they
+   * must then ask for the same attributes.
+   * @param options {timeout, connectTimeout, signal} (optional)
+   * @param cb callback(err, res, cap) err is set if an error occured. res is
+   *        {items, UnprocessedKeys} when a single table is requested,
+   *        a dictionary of table to {items, UnprocessedKeys} otherwise
    */
-  batchGetItem = function(request, cb)
+  batchGetItem = function(request, options, cb)
   {
+    if (typeof options === 'function')
+    {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
     var data = {};
+    var tables = 0;
     try
     {
       data.RequestItems = {};
@@ -573,42 +956,31 @@ var ddb = function(spec, my)
         if (request.hasOwnProperty(table))
         {
           var parts = Array.isArray(request[table]) ? request[table] : [request[table]];
+          tables++;
 
           for (var i = 0; i < parts.length; ++i)
           {
-            var part = parts[i];
-            var tableData = {
-              Keys: []
-            };
-            var hasRange = Array.isArray(part.keys[0]);
-
-            for (var j = 0; j < part.keys.length; j++)
-            {
-              var key = part.keys[j];
-              var keyData = objToDDB(key);
-              tableData.Keys.push(keyData);
-            }
-
-            if (part.attributesToGet)
+            var tableData = batchGetPartToDDB(parts[i], parts[i].keys);
+            if (data.RequestItems[table])
             {
-              tableData.AttributesToGet = part.attributesToGet;
+              if (JSON.stringify(batchGetPartToDDB(parts[i], [])) !== JSON.stringify(batchGetPartToDDB(parts[0], [])))
+                throw invalid('Non Compatible Request [parts of a table must get the same attributes]: ' + table);
+              data.RequestItems[table].Keys = data.RequestItems[table].Keys.concat(tableData.Keys);
             }
-            if (part.consistentRead)
+            else
             {
-              tableData.ConsistentRead = part.consistentRead;
+              data.RequestItems[table] = tableData;
             }
-
-            data.RequestItems[table] = tableData;
           }
         }
       }
     }
     catch (err)
     {
-      cb(err);
+      cb(errors.wrap('BatchGetItem', err, {}));
       return;
     }
-    execute('BatchGetItem', data, function(err, res)
+    execute('BatchGetItem', data, options, function(err, res)
     {
       if (err)
       {
@@ -616,90 +988,287 @@ var ddb = function(spec, my)
       }
       else
       {
-        var consumedCapacity = 0;
-        for (var table in res.Responses)
+        var consumedCapacity = sumCapacity(res.ConsumedCapacity);
+        var responses = {};
+        try
         {
-          var part = res.Responses[table];
-          var cap = part.ConsumedCapacity.CapacityUnits;
-          if (cap)
+          for (var table in res.Responses)
           {
-            consumedCapacity += cap;
+            responses[table] = {
+              items: arrFromDDB(res.Responses[table])
+            };
           }
-          if (part.Items)
+          for (var table in res.UnprocessedKeys)
           {
-            try
+            responses[table] = responses[table] ||
             {
-              part.items = arrFromDDB(part.Items);
-            }
-            catch (err)
-            {
-              cb(err);
-              return;
-            }
-            delete part.Items;
-          }
-          if (res.UnprocessedKeys[table])
-          {
-            part.UnprocessedKeys = res.UnprocessedKeys[table];
+              items: []
+            };
+            responses[table].UnprocessedKeys = arrFromDDB(res.UnprocessedKeys[table].Keys);
           }
         }
+        catch (err)
+        {
+          cb(errors.wrap('BatchGetItem', err, {}));
+          return;
+        }
         my.consumedCapacity += consumedCapacity;
-        if (parts.length == 1)
+        if (tables == 1)
         {
-          var smartResponse = res.Responses[table];
+          var smartResponse = responses[Object.keys(data.RequestItems)[0]] ||
+          {
+            items: []
+          };
           cb(null, smartResponse, consumedCapacity);
         }
         else
         {
-          cb(null, res.Responses, consumedCapacity);
+          cb(null, responses, consumedCapacity);
         }
       }
     });
   };
 
+
   /**
-   * Put or delete several items across multiple tables
-   * @param putRequest dictionnary { 'table': [item1, item2, item3], 'table2': item }
-   * @param deleteRequest dictionnary { 'table': [key1, key2, key3], 'table2': [[id1, range1], [id2, range2]] }
-   * @param cb callback(err, res, cap) err is set if an error occured
+   * Gets any number of items across multiple tables. Keys are split into
+   * BatchGetItem calls of at most 100 keys and unprocessed keys are
+   * re-requested with exponential backoff and jitter.
+   * @param request same as batchGetItem
+   *        { 'table': { keys: [{id: 1}, {id: 2}], attributesToGet, projectionExpression,
+   *                     expressionAttributeNames, consistentRead } }
+   * @param options {ordered, concurrency, maxRetries, baseDelay, maxDelay} (optional)
+   *        if ordered is set, the items of each table are aligned with the
+   *        requested keys, with null for missing items. The key attributes
+   *        must then be part of the retrieved attributes
+   * @param cb callback(err, res, cap) res is a dictionary of table to items.
+   *        If keys are still unprocessed after maxRetries, err.unprocessedKeys
+   *        holds them by table and err.items the items already retrieved
    */
-  batchWriteItem = function(putRequest, deleteRequest, cb)
+  bulkGet = function(request, options, cb)
   {
-    var data = {};
-    try
+    if (typeof options === 'function')
     {
-      data.RequestItems = {};
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+
+    var res = {};
+    var ids = {};
+    var chunks = [];
+    var consumedCapacity = 0;
+    var unprocessedKeys = null;
+    var keyId = function(names, ddbItem)
+    {
+      return JSON.stringify(names.map(function(name)
+      {
+        return ddbItem[name];
+      }));
+    };
 
-      for (var table in putRequest)
+    try
+    {
+      var chunk = null;
+      for (var table in request)
       {
-        if (putRequest.hasOwnProperty(table))
+        if (request.hasOwnProperty(table))
         {
-          var items = (Array.isArray(putRequest[table]) ? putRequest[table] : [putRequest[table]]);
-
-          for (var i = 0; i < items.length; i++)
+          var parts = Array.isArray(request[table]) ? request[table] : [request[table]];
+          res[table] = [];
+          ids[table] = [];
+          for (var i = 0; i < parts.length; ++i)
           {
-            data.RequestItems[table] = data.RequestItems[table] || [];
-            data.RequestItems[table].push(
+            var seen = {};
+            var tableData = batchGetPartToDDB(parts[i], []);
+            parts[i].keys.forEach(function(key)
             {
-              "PutRequest":
+              var ddbKey = objToDDB(key);
+              var id = keyId(Object.keys(ddbKey).sort(), ddbKey);
+              ids[table].push(id);
+              if (seen[id])
+                return;
+              seen[id] = true;
+              if (!chunk || chunk.count === 100 || chunk.requestItems[table] && chunk.part[table] !== parts[i])
               {
-                "Item": objToDDB(items[i])
+                chunk = {
+                  count: 0,
+                  requestItems: {},
+                  part: {}
+                };
+                chunks.push(chunk);
               }
+              if (!chunk.requestItems[table])
+              {
+                chunk.requestItems[table] = JSON.parse(JSON.stringify(tableData));
+                chunk.part[table] = parts[i];
+              }
+              chunk.requestItems[table].Keys.push(ddbKey);
+              chunk.count++;
             });
           }
         }
       }
+    }
+    catch (err)
+    {
+      cb(errors.wrap('BatchGetItem', err, {}));
+      return;
+    }
 
-      for (var table in deleteRequest)
+    var found = {};
+    var maxRetries = (typeof options.maxRetries === 'number') ? options.maxRetries : 10;
+    eachLimit(chunks, options.concurrency || 1, function(chunk, done)
+    {
+      (function attempt(c, pending)
       {
-        if (deleteRequest.hasOwnProperty(table))
+        execute('BatchGetItem',
         {
-          var items = (Array.isArray(deleteRequest[table]) ? deleteRequest[table] : [deleteRequest[table]]);
-
-          for (var i = 0; i < items.length; i++)
+          RequestItems: pending
+        }, options, function(err, out)
+        {
+          if (err)
           {
-            data.RequestItems[table] = data.RequestItems[table] || [];
-            data.RequestItems[table].push(
+            done(err);
+            return;
+          }
+          consumedCapacity += sumCapacity(out.ConsumedCapacity);
+          try
+          {
+            for (var table in out.Responses)
+            {
+              var items = arrFromDDB(out.Responses[table]);
+              res[table] = res[table].concat(items);
+              if (options.ordered)
+              {
+                var names = Object.keys(chunk.requestItems[table].Keys[0]).sort();
+                found[table] = found[table] || {};
+                items.forEach(function(item)
+                {
+                  found[table][keyId(names, objToDDB(item))] = item;
+                });
+              }
+            }
+          }
+          catch (err)
+          {
+            done(errors.wrap('BatchGetItem', err, {}));
+            return;
+          }
+          var unprocessed = out.UnprocessedKeys || {};
+          if (Object.keys(unprocessed).length === 0)
+          {
+            done();
+          }
+          else if (c >= maxRetries)
+          {
+            unprocessedKeys = unprocessedKeys || {};
+            for (var table in unprocessed)
+            {
+              unprocessedKeys[table] = (unprocessedKeys[table] || []).concat(arrFromDDB(unprocessed[table].Keys));
+            }
+            done();
+          }
+          else
+          {
+            setTimeout(function()
+            {
+              attempt(c + 1, unprocessed);
+            }, unprocessedDelay(c, options));
+          }
+        });
+      })(0, chunk.requestItems);
+    }, function(err)
+    {
+      my.consumedCapacity += consumedCapacity;
+      if (err)
+      {
+        cb(err);
+        return;
+      }
+      if (options.ordered)
+      {
+        for (var table in res)
+        {
+          res[table] = ids[table].map(function(id)
+          {
+            return (found[table] && found[table][id]) || null;
+          });
+        }
+      }
+      if (unprocessedKeys)
+      {
+        var count = 0;
+        var tables = Object.keys(unprocessedKeys);
+        tables.forEach(function(table)
+        {
+          count += unprocessedKeys[table].length;
+        });
+        var err = errors.create('BatchGetItem: ' + count + ' keys still unprocessed after ' + maxRetries + ' retries', {
+          code: 'UnprocessedKeys',
+          operation: 'BatchGetItem',
+          table: tables.length === 1 ? tables[0] : undefined,
+          unprocessedKeys: unprocessedKeys,
+          items: res
+        });
+        cb(err, res, consumedCapacity);
+        return;
+      }
+      cb(null, res, consumedCapacity);
+    });
+  };
+
+
+  /**
+   * Put or delete several items across multiple tables
+   * @param putRequest dictionnary { 'table': [item1, item2, item3], 'table2': item }
+   * @param deleteRequest dictionnary { 'table': [key1, key2, key3], 'table2': [[id1, range1], [id2, range2]] }
+   * @param options {timeout, connectTimeout, signal} (optional)
+   * @param cb callback(err, res, cap) err is set if an error occured
+   */
+  batchWriteItem = function(putRequest, deleteRequest, options, cb)
+  {
+    if (typeof options === 'function')
+    {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+    var data = {};
+    try
+    {
+      data.RequestItems = {};
+
+      for (var table in putRequest)
+      {
+        if (putRequest.hasOwnProperty(table))
+        {
+          var items = (Array.isArray(putRequest[table]) ? putRequest[table] : [putRequest[table]]);
+
+          for (var i = 0; i < items.length; i++)
+          {
+            data.RequestItems[table] = data.RequestItems[table] || [];
+            data.RequestItems[table].push(
+            {
+              "PutRequest":
+              {
+                "Item": objToDDB(items[i])
+              }
+            });
+          }
+        }
+      }
+
+      for (var table in deleteRequest)
+      {
+        if (deleteRequest.hasOwnProperty(table))
+        {
+          var items = (Array.isArray(deleteRequest[table]) ? deleteRequest[table] : [deleteRequest[table]]);
+
+          for (var i = 0; i < items.length; i++)
+          {
+            data.RequestItems[table] = data.RequestItems[table] || [];
+            data.RequestItems[table].push(
             {
               "DeleteRequest":
               {
@@ -709,17 +1278,13 @@ var ddb = function(spec, my)
           }
         }
       }
-      execute('BatchWriteItem', data, function(err, res)
+      execute('BatchWriteItem', data, options, function(err, res)
       {
         if (err)
           cb(err);
         else
         {
-          var consumedCapacity = 0;
-          for (var i = 0; i < res.ConsumedCapacity.length; i++)
-          {
-            consumedCapacity += res.ConsumedCapacity[i].CapacityUnits;
-          }
+          var consumedCapacity = sumCapacity(res.ConsumedCapacity);
           my.consumedCapacity += consumedCapacity;
           cb(null, res.UnprocessedItems, consumedCapacity);
         }
@@ -727,709 +1292,2696 @@ var ddb = function(spec, my)
     }
     catch (err)
     {
-      cb(err)
+      cb(errors.wrap('BatchWriteItem', err, {}));
     }
   };
 
   /**
-   * returns a set of Attributes for an item that matches the query
-   * @param table the tableName
-   * @param keys the table {id:2,range:3} range is optional
-   * @param the hash key + operator ex. {id: 'EQ'}
-   * @param options {attributesToGet, limit, consistentRead, count,
-   *                 rangeKeyCondition, scanIndexForward, exclusiveStartKey, indexName, filter}
-   *
-   * @param cb callback(err, tables) err is set if an error occured
+   * Put or delete any number of items across multiple tables. Requests are
+   * split into BatchWriteItem calls honoring the service limits (25 items,
+   * 16MB), keys are deduplicated (the last request for a key wins) and
+   * unprocessed items are resubmitted with the backoff of the retry policy.
+   * Requests can be given as two dictionaries (the puts come before the
+   * deletes) or, to interleave them, as an ordered list:
+   *   bulkWrite([{ put: { table, item } }, { delete: { table, keys } }, ...], options, cb)
+   * @param putRequest dictionnary { 'table': [item1, item2, item3], 'table2': item }
+   * @param deleteRequest dictionnary { 'table': [key1, key2, key3] }
+   * @param options {keys, concurrency, maxRetries, baseDelay, maxDelay, timeout,
+   *        connectTimeout, signal, middleware} (optional)
+   *        keys maps a table to its key attributes names { 'table': ['id', 'range'] },
+   *        when missing the key schema is fetched with DescribeTable. The call
+   *        options apply to the DescribeTable and BatchWriteItem calls
+   * @param cb callback(err, summary) err is set if the requests could not be built.
+   *        summary is {written, failed, consumedCapacity, tables: {'table': {written,
+   *        failed, consumedCapacity}}, failedItems: [{table, put|delete, error}]}
+   *        where error is only set for items whose call failed or which could
+   *        not be converted back (put|delete is then left in the DynamoDB format)
    */
-  query = function(table, keys, operators, options, cb)
+  bulkWrite = function(putRequest, deleteRequest, options, cb)
   {
-    var data = {};
-    try
+    // the requests, in order: [table, 'PutRequest'|'DeleteRequest', item]
+    var ordered = [];
+    if (Array.isArray(putRequest))
     {
-      data.KeyConditions = {};
-      for (var i in keys)
+      if (typeof deleteRequest === 'function')
       {
-        if (keys.hasOwnProperty(i))
-        {
-          data.KeyConditions[i] = {
-            ComparisonOperator: operators[i],
-            AttributeValueList: [scToDDB(keys[i])]
-          }
-        }
+        cb = deleteRequest;
+        options = {};
       }
-      data.TableName = table;
-
-      if(options.filter) {
-          var filter = options.filter,
-            queryFilter = {},
-            operator,
-            value;
-
-          for(var attr in filter.keys) {
-              operator = filter.operators[attr].toUpperCase(),
-                value = filter.keys[attr];
-
-              queryFilter[attr] = {
-                 ComparisonOperator: operator,
-                 AttributeValueList: []
-             };
-
-            if(filter.keys.hasOwnProperty(attr)) {
-                if((operator === 'BETWEEN' || operator === 'IN') && Array.isArray(value) && value.length > 1){
-                    for(var i = 0; i < value.length; i++){
-                        queryFilter[attr].AttributeValueList.push(scToDDB(value[i]));
-                    }
-                } else {
-                  queryFilter[attr].AttributeValueList.push(scToDDB(value));
-                }
-            }
-        }
-        data.QueryFilter = queryFilter;
+      else
+      {
+        cb = (typeof options === 'function') ? options : cb;
+        options = deleteRequest;
       }
-
-      if (options.filterExpression)
+      putRequest.forEach(function(request)
       {
-        data.FilterExpression = options.filterExpression;
+        if (request.put)
+          ordered.push([request.put.table, 'PutRequest', request.put.item]);
+        else if (request['delete'])
+          ordered.push([request['delete'].table, 'DeleteRequest', request['delete'].keys]);
+      });
+    }
+    else
+    {
+      if (typeof options === 'function')
+      {
+        cb = options;
+        options = {};
       }
-
-      if (options.expressionAttributeValues)
+      [[putRequest, 'PutRequest'], [deleteRequest, 'DeleteRequest']].forEach(function(part)
       {
-        var attr = {};
-        for (var i in options.expressionAttributeValues)
+        for (var table in part[0])
         {
-          if (options.expressionAttributeValues.hasOwnProperty(i))
+          if (part[0].hasOwnProperty(table))
           {
-            attr[i] = scToDDB(options.expressionAttributeValues[i]);
+            [].concat(part[0][table]).forEach(function(item)
+            {
+              ordered.push([table, part[1], item]);
+            });
           }
         }
-        data.ExpressionAttributeValues = attr;
-      }
+      });
+    }
+    options = options || {};
 
-      if (options.expressionAttributeNames)
+    var tables = [];
+    ordered.forEach(function(request)
+    {
+      if (tables.indexOf(request[0]) === -1)
+        tables.push(request[0]);
+    });
+
+    keyAttributes(tables, options, function(err, keys)
+    {
+      if (err)
       {
-        data.ExpressionAttributeNames = options.expressionAttributeNames;
+        cb(err);
+        return;
       }
 
-      if (options.attributesToGet)
+      var summary = {
+        written: 0,
+        failed: 0,
+        consumedCapacity: 0,
+        tables: {},
+        failedItems: []
+      };
+      var requests = [];
+      var index = {};
+      try
       {
-        data.AttributesToGet = options.attributesToGet;
+        var add = function(table, type, item)
+        {
+          var request = {};
+          request[type] = (type === 'PutRequest') ? { Item: objToDDB(item) } : { Key: objToDDB(item) };
+          var ddbItem = request[type].Item || request[type].Key;
+          var key = table + '/' + JSON.stringify(keys[table].map(function(attr)
+          {
+            return ddbItem[attr];
+          }));
+          var entry = {
+            table: table,
+            request: request,
+            size: Buffer.byteLength(JSON.stringify(request))
+          };
+          if (index.hasOwnProperty(key))
+          {
+            requests[index[key]] = entry;
+          }
+          else
+          {
+            index[key] = requests.length;
+            requests.push(entry);
+          }
+        };
+        ordered.forEach(function(request)
+        {
+          add(request[0], request[1], request[2]);
+        });
       }
-      if (options.limit)
+      catch (err)
       {
-        data.Limit = options.limit;
+        cb(errors.wrap('BatchWriteItem', err, {}));
+        return;
       }
-      if (options.consistentRead)
+
+      tables.forEach(function(table)
       {
-        data.ConsistentRead = options.consistentRead;
-      }
-      if (options.count && !options.attributesToGet)
+        summary.tables[table] = {
+          written: 0,
+          failed: 0,
+          consumedCapacity: 0
+        };
+      });
+
+      var chunks = [];
+      var chunk = null;
+      requests.forEach(function(entry)
       {
-        data.Count = options.count;
-      }
+        if (!chunk || chunk.count === 25 || chunk.size + entry.size > 16 * 1024 * 1024)
+        {
+          chunk = {
+            count: 0,
+            size: 0,
+            requestItems: {}
+          };
+          chunks.push(chunk);
+        }
+        chunk.requestItems[entry.table] = chunk.requestItems[entry.table] || [];
+        chunk.requestItems[entry.table].push(entry.request);
+        chunk.count++;
+        chunk.size += entry.size;
+      });
 
-      if (options.scanIndexForward === false)
+      eachLimit(chunks, options.concurrency || 1, function(chunk, done)
       {
-        data.ScanIndexForward = false;
-      }
-      if (options.exclusiveStartKey)
+        writeChunk(chunk.requestItems, options, function(err, res)
+        {
+          for (var table in res.written)
+          {
+            summary.tables[table].written += res.written[table];
+            summary.written += res.written[table];
+          }
+          for (var table in res.consumedCapacity)
+          {
+            summary.tables[table].consumedCapacity += res.consumedCapacity[table];
+            summary.consumedCapacity += res.consumedCapacity[table];
+          }
+          for (var table in res.unprocessed)
+          {
+            res.unprocessed[table].forEach(function(request)
+            {
+              var failed = {
+                table: table
+              };
+              if (err)
+                failed.error = err;
+              try
+              {
+                if (request.PutRequest)
+                  failed.put = objFromDDB(request.PutRequest.Item);
+                else
+                  failed['delete'] = objFromDDB(request.DeleteRequest.Key);
+              }
+              catch (e)
+              {
+                failed.error = failed.error || errors.wrap('BatchWriteItem', e, { table: table });
+                if (request.PutRequest)
+                  failed.put = request.PutRequest.Item;
+                else
+                  failed['delete'] = request.DeleteRequest.Key;
+              }
+              summary.tables[table].failed++;
+              summary.failed++;
+              summary.failedItems.push(failed);
+            });
+          }
+          done();
+        });
+      }, function()
       {
-        data.ExclusiveStartKey = {};
-        for (var i in options.exclusiveStartKey)
+        cb(null, summary);
+      });
+    });
+  };
+
+
+  /**
+   * Atomically puts, updates, deletes or condition-checks several items
+   * across multiple tables. Either all the actions succeed or none does.
+   * @param actions array of { put: { table, item, conditionExpression, ... } },
+   *                          { update: { table, keys, updateExpression, conditionExpression, ... } },
+   *                          { delete: { table, keys, conditionExpression, ... } },
+   *                          { conditionCheck: { table, keys, conditionExpression, ... } }
+   *        each action accepts expressionAttributeNames, expressionAttributeValues
+   *        and returnValuesOnConditionCheckFailure
+   * @param options {clientRequestToken, returnItemCollectionMetrics} (optional)
+   * @param cb callback(err, res, cap) err is set if an error occured. If the
+   *        transaction is canceled, err.cancellationReasons holds one
+   *        {code, message, item} per action
+   */
+  transactWrite = function(actions, options, cb)
+  {
+    if (typeof options === 'function')
+    {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+
+    var data = {};
+    try
+    {
+      data.TransactItems = actions.map(function(action)
+      {
+        if (action.put)
         {
-          data.ExclusiveStartKey[i] = scToDDB(options.exclusiveStartKey[i]);
+          var put = transactItemToDDB(action.put);
+          put.Item = objToDDB(action.put.item);
+          return { Put: put };
         }
-      }
-      if (options.indexName)
+        if (action.update)
+        {
+          var update = transactItemToDDB(action.update);
+          update.Key = objToDDB(action.update.keys);
+          return { Update: update };
+        }
+        if (action['delete'])
+        {
+          var del = transactItemToDDB(action['delete']);
+          del.Key = objToDDB(action['delete'].keys);
+          return { Delete: del };
+        }
+        if (action.conditionCheck)
+        {
+          var check = transactItemToDDB(action.conditionCheck);
+          check.Key = objToDDB(action.conditionCheck.keys);
+          return { ConditionCheck: check };
+        }
+        throw invalid('Non Compatible Transaction Action [not put|update|delete|conditionCheck]: ' +
+          Object.keys(action));
+      });
+      // the token is generated once so that retries stay idempotent
+      data.ClientRequestToken = options.clientRequestToken || crypto.randomBytes(16).toString('hex');
+      if (options.returnItemCollectionMetrics)
       {
-        data.IndexName = options.indexName;
+        data.ReturnItemCollectionMetrics = options.returnItemCollectionMetrics;
       }
     }
     catch (err)
     {
-      cb(err);
+      cb(errors.wrap('TransactWriteItems', err, {}));
       return;
     }
-    execute('Query', data, function(err, res)
+    execute('TransactWriteItems', data, options, function(err, res)
     {
       if (err)
       {
-        cb(err)
+        if (err.code === 'TransactionCanceledException' && err.data.CancellationReasons)
+        {
+          try
+          {
+            err.cancellationReasons = err.data.CancellationReasons.map(function(reason)
+            {
+              return {
+                code: reason.Code,
+                message: reason.Message,
+                item: reason.Item ? objFromDDB(reason.Item) : undefined
+              };
+            });
+          }
+          catch (e)
+          {
+            // keep the raw reasons available in err.data
+          }
+        }
+        cb(err);
       }
       else
       {
-        my.consumedCapacity += res.ConsumedCapacity.CapacityUnits;
-        var r = {
-          count: res.Count,
-          items: [],
-          lastEvaluatedKey: null,
-          scannedCount: res.ScannedCount
-        };
-        try
+        var consumedCapacity = sumCapacity(res.ConsumedCapacity);
+        my.consumedCapacity += consumedCapacity;
+        cb(null,
+        {
+          clientRequestToken: data.ClientRequestToken,
+          itemCollectionMetrics: res.ItemCollectionMetrics
+        }, consumedCapacity);
+      }
+    });
+  };
+
+
+  /**
+   * Atomically gets several items across multiple tables.
+   * @param requests array of { table, keys, projectionExpression, expressionAttributeNames }
+   * @param options {timeout, connectTimeout, signal} (optional)
+   * @param cb callback(err, items, cap) err is set if an error occured. items
+   *        is aligned with requests, with null for missing items
+   */
+  transactGet = function(requests, options, cb)
+  {
+    if (typeof options === 'function')
+    {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+    var data = {};
+    try
+    {
+      data.TransactItems = requests.map(function(request)
+      {
+        request = expressions.resolve(request);
+        var get = {
+          TableName: request.table,
+          Key: objToDDB(request.keys)
+        };
+        if (request.projectionExpression)
+        {
+          get.ProjectionExpression = request.projectionExpression;
+        }
+        if (request.expressionAttributeNames)
+        {
+          get.ExpressionAttributeNames = request.expressionAttributeNames;
+        }
+        return { Get: get };
+      });
+    }
+    catch (err)
+    {
+      cb(errors.wrap('TransactGetItems', err, {}));
+      return;
+    }
+    execute('TransactGetItems', data, options, function(err, res)
+    {
+      if (err)
+      {
+        cb(err);
+      }
+      else
+      {
+        var consumedCapacity = sumCapacity(res.ConsumedCapacity);
+        my.consumedCapacity += consumedCapacity;
+        try
+        {
+          var items = (res.Responses || []).map(function(response)
+          {
+            return response.Item ? objFromDDB(response.Item) : null;
+          });
+        }
+        catch (err)
+        {
+          cb(errors.wrap('TransactGetItems', err, {}));
+          return;
+        }
+        cb(null, items, consumedCapacity);
+      }
+    });
+  };
+
+
+  /**
+   * returns a set of Attributes for an item that matches the query
+   * @param table the tableName
+   * @param keys the table {id:2,range:3} range is optional, {id:2,range:[3,5]} for BETWEEN.
+   *        null when options.keyConditionExpression is used
+   * @param the hash key + operator ex. {id: 'EQ', range: 'BETWEEN'}
+   * @param options {attributesToGet, limit, consistentRead, count, select,
+   *                 keyConditionExpression, projectionExpression,
+   *                 rangeKeyCondition, scanIndexForward, exclusiveStartKey, indexName, filter}
+   *
+   * @param cb callback(err, tables) err is set if an error occured
+   */
+  query = function(table, keys, operators, options, cb)
+  {
+    var data = {};
+    try
+    {
+      options = expressions.resolve(options);
+      if (options.keyConditionExpression)
+      {
+        data.KeyConditionExpression = options.keyConditionExpression;
+      }
+      else
+      {
+        data.KeyConditions = {};
+        for (var i in keys)
+        {
+          if (keys.hasOwnProperty(i))
+          {
+            var operator = (operators[i] || 'EQ').toUpperCase();
+            var values = (operator === 'BETWEEN' && Array.isArray(keys[i])) ? keys[i] : [keys[i]];
+            data.KeyConditions[i] = {
+              ComparisonOperator: operator,
+              AttributeValueList: values.map(function(value)
+              {
+                return scToDDB(value);
+              })
+            }
+          }
+        }
+      }
+      data.TableName = table;
+
+      if(options.filter) {
+          var filter = options.filter,
+            queryFilter = {},
+            operator,
+            value;
+
+          for(var attr in filter.keys) {
+              operator = filter.operators[attr].toUpperCase(),
+                value = filter.keys[attr];
+
+              queryFilter[attr] = {
+                 ComparisonOperator: operator,
+                 AttributeValueList: []
+             };
+
+            if(filter.keys.hasOwnProperty(attr)) {
+                if((operator === 'BETWEEN' || operator === 'IN') && Array.isArray(value) && value.length > 1){
+                    for(var i = 0; i < value.length; i++){
+                        queryFilter[attr].AttributeValueList.push(scToDDB(value[i]));
+                    }
+                } else {
+                  queryFilter[attr].AttributeValueList.push(scToDDB(value));
+                }
+            }
+        }
+        data.QueryFilter = queryFilter;
+      }
+
+      if (options.filterExpression)
+      {
+        data.FilterExpression = options.filterExpression;
+      }
+
+      if (options.expressionAttributeValues)
+      {
+        var attr = {};
+        for (var i in options.expressionAttributeValues)
+        {
+          if (options.expressionAttributeValues.hasOwnProperty(i))
+          {
+            attr[i] = scToDDB(options.expressionAttributeValues[i]);
+          }
+        }
+        data.ExpressionAttributeValues = attr;
+      }
+
+      if (options.expressionAttributeNames)
+      {
+        data.ExpressionAttributeNames = options.expressionAttributeNames;
+      }
+
+      if (options.attributesToGet)
+      {
+        data.AttributesToGet = options.attributesToGet;
+      }
+      if (options.projectionExpression)
+      {
+        data.ProjectionExpression = options.projectionExpression;
+      }
+      if (options.limit)
+      {
+        data.Limit = options.limit;
+      }
+      if (options.consistentRead)
+      {
+        data.ConsistentRead = options.consistentRead;
+      }
+      if (options.select)
+      {
+        data.Select = options.select;
+      }
+      else if (options.count && !options.attributesToGet)
+      {
+        data.Select = 'COUNT';
+      }
+
+      if (options.scanIndexForward === false)
+      {
+        data.ScanIndexForward = false;
+      }
+      if (options.exclusiveStartKey)
+      {
+        data.ExclusiveStartKey = {};
+        for (var i in options.exclusiveStartKey)
+        {
+          data.ExclusiveStartKey[i] = scToDDB(options.exclusiveStartKey[i], i);
+        }
+      }
+      if (options.indexName)
+      {
+        data.IndexName = options.indexName;
+      }
+    }
+    catch (err)
+    {
+      cb(errors.wrap('Query', err, { table: table }));
+      return;
+    }
+    execute('Query', data, options, function(err, res)
+    {
+      if (err)
+      {
+        cb(err)
+      }
+      else
+      {
+        var capacity = sumCapacity(res.ConsumedCapacity);
+        my.consumedCapacity += capacity;
+        var r = {
+          count: res.Count,
+          items: [],
+          lastEvaluatedKey: null,
+          scannedCount: res.ScannedCount
+        };
+        try
+        {
+          if (res.Items)
+          {
+            r.items = arrFromDDB(res.Items);
+          }
+          if (res.LastEvaluatedKey)
+          {
+            var key = objFromDDB(res.LastEvaluatedKey);
+            r.lastEvaluatedKey = key;
+          }
+        }
+        catch (err)
+        {
+          cb(errors.wrap('Query', err, { table: table }));
+          return;
+        }
+        cb(null, r, capacity);
+      }
+    });
+  };
+
+
+  /**
+   * returns one or more items and its attributes by performing a full scan of a table.
+   * @param table the tableName
+   * @param options {attributesToGet, limit, count, scanFilter, exclusiveStartKey,
+   *                 segment, totalSegments}
+   * @param cb callback(err, {count, items, lastEvaluatedKey}) err is set if an error occured
+   */
+  scan = function(table, options, cb)
+  {
+    var data = {};
+    try
+    {
+      options = expressions.resolve(options);
+      data.TableName = table;
+      if (options.attributesToGet)
+      {
+        data.AttributesToGet = options.attributesToGet;
+      }
+
+
+      if (options.filterExpression)
+      {
+        data.FilterExpression = options.filterExpression;
+      }
+
+      if (options.expressionAttributeValues)
+      {
+        var attr = {};
+        for (var i in options.expressionAttributeValues)
+        {
+          if (options.expressionAttributeValues.hasOwnProperty(i))
+          {
+            attr[i] = scToDDB(options.expressionAttributeValues[i]);
+          }
+        }
+        data.ExpressionAttributeValues = attr;
+      }
+
+      if (options.expressionAttributeNames)
+      {
+        data.ExpressionAttributeNames = options.expressionAttributeNames;
+      }
+
+      if (options.limit)
+      {
+        data.Limit = options.limit;
+      }
+      if (options.count && !options.attributesToGet)
+      {
+        data.Count = options.count;
+      }
+      if (typeof options.segment === 'number')
+      {
+        data.Segment = options.segment;
+        data.TotalSegments = options.totalSegments;
+      }
+      if (options.exclusiveStartKey)
+      {
+        data.ExclusiveStartKey = {};
+        for (var i in options.exclusiveStartKey)
+        {
+          data.ExclusiveStartKey[i] = scToDDB(options.exclusiveStartKey[i], i);
+        }
+      }
+      if (options.filter)
+      {
+        data.ScanFilter = {}
+        for (var attr in options.filter)
+        {
+          if (options.filter.hasOwnProperty(attr))
+          {
+            for (var op in options.filter[attr])
+            { // supposed to be only one
+              if (typeof op === 'string')
+              {
+                data.ScanFilter[attr] = {
+                  "AttributeValueList": [],
+                  "ComparisonOperator": op.toUpperCase()
+                };
+                if (op === 'not_null' || op === 'null')
+                {
+                  // nothing ot do
+                }
+                else if ((op == 'between' || op == 'in') &&
+                  Array.isArray(options.filter[attr][op]) &&
+                  options.filter[attr][op].length > 1)
+                {
+                  for (var i = 0; i < options.filter[attr][op].length; ++i)
+                  {
+                    data.ScanFilter[attr].AttributeValueList.push(scToDDB(options.filter[attr][op][i]));
+                  }
+                }
+                else
+                {
+                  data.ScanFilter[attr].AttributeValueList.push(scToDDB(options.filter[attr][op]));
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+    catch (err)
+    {
+      cb(errors.wrap('Scan', err, { table: table }));
+      return;
+    }
+    execute('Scan', data, options, function(err, res)
+    {
+      if (err)
+      {
+        cb(err)
+      }
+      else
+      {
+        var capacity = sumCapacity(res.ConsumedCapacity);
+        my.consumedCapacity += capacity;
+        var r = {
+          count: res.Count,
+          items: [],
+          lastEvaluatedKey: null,
+          scannedCount: res.ScannedCount
+        };
+        try
+        {
+          if (Array.isArray(res.Items))
+          {
+            r.items = arrFromDDB(res.Items);
+          }
+          if (res.LastEvaluatedKey)
+          {
+            var key = objFromDDB(res.LastEvaluatedKey);
+            r.lastEvaluatedKey = key;
+          }
+        }
+        catch (err)
+        {
+          cb(errors.wrap('Scan', err, { table: table }));
+          return;
+        }
+        cb(null, r, capacity);
+      }
+    });
+  };
+
+
+
+  /**
+   * scans a table with several segments in parallel. Each segment follows its
+   * own lastEvaluatedKey and emits a 'scanProgress' event on the client
+   * {table, segment, totalSegments, count, scannedCount, lastEvaluatedKey, done}
+   * after each page.
+   * @param table the tableName
+   * @param options same as scan plus {totalSegments, concurrency, checkpoint}
+   *        checkpoint is the value of a previous stream.checkpoint() to resume
+   *        from: segments mapped to null are done, to a key start after it
+   * @return an object mode Readable stream of the items of all segments.
+   *         stream.checkpoint() returns {segment: lastEvaluatedKey|null} for
+   *         the pages already pushed to the stream
+   */
+  parallelScan = function(table, options)
+  {
+    options = options || {};
+    var totalSegments = options.totalSegments || 4;
+    var concurrency = options.concurrency || totalSegments;
+    var progress = {};
+    var waiting = [];
+    var reading = false;
+
+    var readable = new stream.Readable(
+    {
+      objectMode: true,
+      read: function()
+      {
+        reading = true;
+        var resume = waiting;
+        waiting = [];
+        resume.forEach(function(fn)
+        {
+          fn();
+        });
+      }
+    });
+    readable.checkpoint = function()
+    {
+      var res = {};
+      for (var i in progress)
+        res[i] = progress[i];
+      return res;
+    };
+
+    var segments = [];
+    for (var i = 0; i < totalSegments; i++)
+    {
+      var start = options.checkpoint ? options.checkpoint[i] : undefined;
+      // resumed segments keep their position until their next page
+      if (start !== undefined)
+        progress[i] = start;
+      if (start !== null)
+        segments.push(i);
+    }
+
+    eachLimit(segments, concurrency, function(segment, done)
+    {
+      var segmentOptions = withStartKey(options, 'segment', segment);
+      segmentOptions.totalSegments = totalSegments;
+      delete segmentOptions.checkpoint;
+      delete segmentOptions.concurrency;
+
+      (function page(startKey)
+      {
+        if (readable.destroyed)
+          return;
+        if (!reading)
+        {
+          waiting.push(function()
+          {
+            page(startKey);
+          });
+          return;
+        }
+        scan(table, withStartKey(segmentOptions, 'exclusiveStartKey', startKey), function(err, res)
+        {
+          if (err)
+          {
+            done(err);
+            return;
+          }
+          if (readable.destroyed)
+            return;
+          for (var j = 0; j < res.items.length; j++)
+          {
+            if (!readable.push(res.items[j]))
+              reading = false;
+          }
+          progress[segment] = res.lastEvaluatedKey;
+          that.emit('scanProgress',
+          {
+            table: table,
+            segment: segment,
+            totalSegments: totalSegments,
+            count: res.count,
+            scannedCount: res.scannedCount,
+            lastEvaluatedKey: res.lastEvaluatedKey,
+            done: !res.lastEvaluatedKey
+          });
+          if (res.lastEvaluatedKey)
+            page(res.lastEvaluatedKey);
+          else
+            done();
+        });
+      })(options.checkpoint ? options.checkpoint[segment] : undefined);
+    }, function(err)
+    {
+      if (err)
+        readable.destroy(err);
+      else
+        readable.push(null);
+    });
+
+    return readable;
+  };
+
+
+  /**
+   * returns an object mode Readable stream of the items matching a query,
+   * following lastEvaluatedKey as the stream is consumed
+   * @param table the tableName
+   * @param keys, operators, options same as query
+   * @return the Readable stream
+   */
+  queryStream = function(table, keys, operators, options)
+  {
+    return pageStream(function(startKey, cb)
+    {
+      query(table, keys, operators, withStartKey(options, 'exclusiveStartKey', startKey), function(err, res)
+      {
+        if (err)
+          cb(err);
+        else
+          cb(null, res.items, res.lastEvaluatedKey);
+      });
+    });
+  };
+
+
+  /**
+   * returns an object mode Readable stream of the items of a table,
+   * following lastEvaluatedKey as the stream is consumed
+   * @param table the tableName
+   * @param options same as scan
+   * @return the Readable stream
+   */
+  scanStream = function(table, options)
+  {
+    return pageStream(function(startKey, cb)
+    {
+      scan(table, withStartKey(options, 'exclusiveStartKey', startKey), function(err, res)
+      {
+        if (err)
+          cb(err);
+        else
+          cb(null, res.items, res.lastEvaluatedKey);
+      });
+    });
+  };
+
+
+  /**
+   * returns an object mode Writable stream putting (or deleting) the items
+   * written to it in a table. Items are buffered and written with bulkWrite,
+   * unprocessed items being retried with backoff.
+   * @param table the tableName
+   * @param options same as bulkWrite plus {bufferSize, delete}
+   *        bufferSize is the number of items buffered before writing (25 by default)
+   *        if delete is set, the objects written are the keys of the items to delete
+   * @return the Writable stream. stream.summary() returns {written, failed,
+   *         consumedCapacity}. If items can't be written the stream emits an error
+   *         with err.failedItems
+   */
+  writeStream = function(table, options)
+  {
+    options = options || {};
+    var bufferSize = options.bufferSize || 25;
+    var buffer = [];
+    var summary = {
+      written: 0,
+      failed: 0,
+      consumedCapacity: 0
+    };
+
+    var flush = function(cb)
+    {
+      if (buffer.length === 0)
+      {
+        cb();
+        return;
+      }
+      var request = {};
+      request[table] = buffer;
+      buffer = [];
+      bulkWrite(options['delete'] ? {} : request, options['delete'] ? request : {}, options, function(err, res)
+      {
+        if (err)
+        {
+          cb(err);
+          return;
+        }
+        summary.written += res.written;
+        summary.failed += res.failed;
+        summary.consumedCapacity += res.consumedCapacity;
+        if (res.failed > 0)
+        {
+          err = errors.create('BatchWriteItem: ' + res.failed + ' items could not be written to ' + table, {
+            code: 'UnprocessedItems',
+            operation: 'BatchWriteItem',
+            table: table,
+            failedItems: res.failedItems
+          });
+          cb(err);
+          return;
+        }
+        cb();
+      });
+    };
+
+    var writable = new stream.Writable(
+    {
+      objectMode: true,
+      write: function(item, encoding, cb)
+      {
+        buffer.push(item);
+        if (buffer.length >= bufferSize)
+          flush(cb);
+        else
+          cb();
+      },
+      final: flush
+    });
+    writable.summary = function()
+    {
+      return {
+        written: summary.written,
+        failed: summary.failed,
+        consumedCapacity: summary.consumedCapacity
+      };
+    };
+    return writable;
+  };
+
+
+  /**
+   * returns an async iterator over the items matching a query, following
+   * lastEvaluatedKey automatically
+   * @param table the tableName
+   * @param keys, operators, options same as query
+   * @return an async iterator usable with for await
+   */
+  queryIterator = function(table, keys, operators, options)
+  {
+    return paginate(function(startKey, cb)
+    {
+      query(table, keys, operators, withStartKey(options, 'exclusiveStartKey', startKey), function(err, res)
+      {
+        if (err)
+          cb(err);
+        else
+          cb(null, res.items, res.lastEvaluatedKey);
+      });
+    });
+  };
+
+
+  /**
+   * returns an async iterator over the items of a table, following
+   * lastEvaluatedKey automatically
+   * @param table the tableName
+   * @param options same as scan
+   * @return an async iterator usable with for await
+   */
+  scanIterator = function(table, options)
+  {
+    return paginate(function(startKey, cb)
+    {
+      scan(table, withStartKey(options, 'exclusiveStartKey', startKey), function(err, res)
+      {
+        if (err)
+          cb(err);
+        else
+          cb(null, res.items, res.lastEvaluatedKey);
+      });
+    });
+  };
+
+
+  /**
+   * returns an async iterator over the names of all the tables,
+   * following LastEvaluatedTableName automatically
+   * @param options same as listTables
+   * @return an async iterator usable with for await
+   */
+  listTablesIterator = function(options)
+  {
+    return paginate(function(startKey, cb)
+    {
+      listTables(withStartKey(options, 'exclusiveStartTableName', startKey), function(err, res)
+      {
+        if (err)
+          cb(err);
+        else
+          cb(null, res.TableNames || [], res.LastEvaluatedTableName);
+      });
+    });
+  };
+
+
+  /**
+   * registers a converter on this client, replacing any converter with the
+   * same name. Built-in converters can be enabled by name
+   * @param name the name of the converter, used by attribute hints
+   * @param converter {test, marshal, unmarshal, read} (optional for built-ins)
+   * @param enabled whether the converter is applied without hint (default true)
+   * @throws an error if the converter is unknown or incomplete
+   */
+  registerConverter = function(name, converter, enabled)
+  {
+    if (typeof converter === 'boolean')
+    {
+      enabled = converter;
+      converter = null;
+    }
+    converter = converter || converters[name];
+    if (!converter)
+      throw new Error('Unknown Converter: ' + name);
+    ['test', 'marshal', 'unmarshal'].forEach(function(fn)
+    {
+      if (typeof converter[fn] !== 'function')
+        throw new Error('Invalid Converter [missing ' + fn + ']: ' + name);
+    });
+
+    my.converters[name] = converter;
+    my.enabled = my.enabled.filter(function(n)
+    {
+      return n !== name;
+    });
+    if (enabled !== false)
+      my.enabled.push(name);
+  };
+
+
+  /**
+   * registers a middleware on this client. Middlewares of a phase run by
+   * increasing priority, then in the order they were registered (the ones
+   * given in the options of a call after the ones of the client)
+   * @param phase 'before-marshal', 'before-sign', 'after-send',
+   *        'after-unmarshal' or 'on-error'
+   * @param fn function(context, next) calling next() to go on, next(err) to
+   *        fail the request or next(null, result) to short-circuit it
+   * @param priority the order of the middleware (optional, default 0)
+   * @return a function unregistering the middleware
+   * @throws an error if the phase or the function is invalid
+   */
+  use = function(phase, fn, priority)
+  {
+    var middleware = toMiddleware({ phase: phase, fn: fn, priority: priority });
+    my.middleware.push(middleware);
+    return function()
+    {
+      my.middleware = my.middleware.filter(function(m)
+      {
+        return m !== middleware;
+      });
+    };
+  };
+
+
+  //-- INTERNALS --//
+
+  /**
+   * records the type of a key attribute for the AttributeDefinitions
+   * of a table
+   * @param attributes dictionary of attribute name to type
+   * @param name the attribute name
+   * @param type the attribute type ('S', 'N' or 'B')
+   * @throws an error if the attribute was already defined with another type
+   */
+  defineAttribute = function(attributes, name, type)
+  {
+    if (attributes[name] && attributes[name] !== type)
+    {
+      throw invalid('Conflicting AttributeDefinitions for ' + name + ': ' +
+        attributes[name] + ' and ' + type);
+    }
+    attributes[name] = type;
+  };
+
+
+  /**
+   * converts a {hash: [attribute, type], range: [attribute, type]} key schema
+   * into the DynamoDB KeySchema array, recording the key attributes types
+   * @param keySchema the key schema
+   * @param attributes dictionary of attribute name to type
+   * @throws an error if the key schema has no hash key
+   * @return res the KeySchema array
+   */
+  keySchemaToDDB = function(keySchema, attributes)
+  {
+    if (!keySchema || !keySchema.hash || keySchema.hash.length != 2)
+    {
+      throw invalid('Invalid KeySchema [hash: [attribute, type] is required]');
+    }
+    var res = [
+    {
+      AttributeName: keySchema.hash[0],
+      KeyType: 'HASH'
+    }];
+    defineAttribute(attributes, keySchema.hash[0], keySchema.hash[1]);
+    if (keySchema.range && keySchema.range.length == 2)
+    {
+      res.push(
+      {
+        AttributeName: keySchema.range[0],
+        KeyType: 'RANGE'
+      });
+      defineAttribute(attributes, keySchema.range[0], keySchema.range[1]);
+    }
+    return res;
+  };
+
+
+  /**
+   * converts a {write: X, read: Y} dictionary into a DynamoDB
+   * ProvisionedThroughput object
+   * @param provisionedThroughput {write: X, read: Y}
+   * @return res the converted object
+   */
+  throughputToDDB = function(provisionedThroughput)
+  {
+    var res = {};
+    if (provisionedThroughput)
+    {
+      if (provisionedThroughput.read)
+        res.ReadCapacityUnits = provisionedThroughput.read;
+      if (provisionedThroughput.write)
+        res.WriteCapacityUnits = provisionedThroughput.write;
+    }
+    return res;
+  };
+
+
+  /**
+   * converts a secondary index description
+   * {name, hash, range, projection} into its DynamoDB counterpart
+   * @param index the index description
+   * @param attributes dictionary of attribute name to type
+   * @throws an error if the index is not valid
+   * @return res the converted object
+   */
+  indexToDDB = function(index, attributes)
+  {
+    if (!index.name)
+    {
+      throw invalid('Invalid secondary index [name is required]');
+    }
+    var res = {
+      IndexName: index.name,
+      KeySchema: keySchemaToDDB(index, attributes),
+      Projection: {}
+    };
+    if (Array.isArray(index.projection))
+    {
+      res.Projection.ProjectionType = 'INCLUDE';
+      res.Projection.NonKeyAttributes = index.projection;
+    }
+    else
+    {
+      res.Projection.ProjectionType = index.projection || 'ALL';
+    }
+    return res;
+  };
+
+
+  /**
+   * converts a JSON object (dictionary of values) to an amazon DynamoDB
+   * compatible JSON object
+   * @param json the JSON object
+   * @param path the path of the object in its item, for hints (optional)
+   * @throws an error if input object is not compatible
+   * @return res the converted object
+   */
+  objToDDB = function(json, path)
+  {
+    if (typeof json === 'object')
+    {
+      return mapToDDB(json, path);
+    }
+    else
+      return json;
+  };
+
+
+  /**
+   * converts a string, number, binary, boolean, null, set (built with set()),
+   * array or object to an amazon DynamoDB compatible JSON object. Arrays are
+   * lists (L), objects are maps (M). Buffers, typed arrays and ArrayBuffers
+   * are binary values. Enabled converters are applied first
+   * @param json the JSON scalar object
+   * @param path the path of the value in its item, for hints (optional)
+   * @throws an error if input object is not compatible
+   * @return res the converted object
+   */
+  scToDDB = function(value, path)
+  {
+    return typeToDDB(convertToDDB(value, path), path);
+  };
+
+
+  /**
+   * converts an already converted native value to its DynamoDB attribute
+   * value (see scToDDB)
+   * @param value the native value
+   * @param path the path of the value in its item, for hints (optional)
+   * @throws an error if input object is not compatible
+   * @return res the converted object
+   */
+  typeToDDB = function(value, path)
+  {
+    if (isNumber(value))
+    {
+      return {
+        "N": numberToDDB(value)
+      };
+    }
+    if (typeof value === 'string')
+    {
+      return {
+        "S": value
+      };
+    }
+    if (typeof value === 'boolean')
+    {
+      return {
+        "BOOL": value
+      };
+    }
+    if (value === null)
+    {
+      return {
+        "NULL": true
+      };
+    }
+    if (isBinary(value))
+    {
+      return {
+        "B": binaryToDDB(value)
+      };
+    }
+    if (isSet(value))
+    {
+      return setToDDB(value);
+    }
+    if (Array.isArray(value))
+    {
+      return {
+        "L": value.map(function(element)
+        {
+          return scToDDB(element, (path || '') + '[]');
+        })
+      };
+    }
+    if (typeof value === 'object' && value !== null)
+    {
+      return {
+        "M": mapToDDB(value, path)
+      };
+    }
+    throw invalid('Non Compatible Field [not string|number|binary|boolean|null|set|list|map]: ' + value);
+  };
+
+
+  /**
+   * applies the converter hinted for path, or the last enabled converter
+   * accepting the value, before it is written
+   * @param value the native value
+   * @param path the path of the value in its item (optional)
+   * @return the value to marshal
+   */
+  convertToDDB = function(value, path)
+  {
+    var converter = writeConverter(value, path);
+    return converter ? converter.marshal(value) : value;
+  };
+
+
+  /**
+   * finds the converter hinted for path, or the last enabled converter
+   * accepting the value
+   * @param value the native value
+   * @param path the path of the value in its item (optional)
+   * @return the converter or null
+   */
+  writeConverter = function(value, path)
+  {
+    var converter = converterFor(path);
+    if (converter)
+      return converter;
+    for (var i = my.enabled.length - 1; i >= 0; i--)
+    {
+      converter = my.converters[my.enabled[i]];
+      if (converter.test(value))
+        return converter;
+    }
+    return null;
+  };
+
+
+  /**
+   * applies the converter hinted for path, or the last enabled converter
+   * reading the value, after it is read
+   * @param value the native value read from DynamoDB
+   * @param path the path of the value in its item (optional)
+   * @return the converted value
+   */
+  convertFromDDB = function(value, path)
+  {
+    var converter = converterFor(path);
+    if (converter)
+      return converter.unmarshal(value);
+    for (var i = my.enabled.length - 1; i >= 0; i--)
+    {
+      converter = my.converters[my.enabled[i]];
+      if (converter.read && converter.read(value))
+        return converter.unmarshal(value);
+    }
+    return value;
+  };
+
+
+  /**
+   * finds the converter hinted for an attribute path. List indexes match
+   * the '[]' of hints: 'events[2].at' is hinted by 'events[].at'
+   * @param path the attribute path
+   * @throws an error if the hinted converter is not registered
+   * @return the converter or null
+   */
+  converterFor = function(path)
+  {
+    if (!path)
+      return null;
+    var name = my.hints[path.replace(/\[\d+\]/g, '[]')];
+    if (!name)
+      return null;
+    if (!my.converters[name])
+      throw invalid('Unknown Converter: ' + name + ' for ' + path);
+    return my.converters[name];
+  };
+
+  /**
+   * converts a set built with set() into a DynamoDB SS, NS or BS attribute
+   * value, removing duplicates
+   * @param value the set
+   * @throws an error if the set is empty or its values don't match its type
+   * @return res the converted object
+   */
+  setToDDB = function(value)
+  {
+    var type = value.type;
+    if (!type && value.values.length > 0)
+    {
+      var first = value.values[0];
+      type = (typeof first === 'string') ? 'SS' : isNumber(first) ? 'NS' : isBinary(first) ? 'BS' : null;
+    }
+    if (value.values.length === 0)
+    {
+      throw invalid('Non Compatible Set [sets can not be empty]');
+    }
+    var arr = value.values.map(function(element)
+    {
+      if (type === 'SS' && typeof element === 'string')
+        return element;
+      if (type === 'NS' && isNumber(element))
+        return numberToDDB(element);
+      if (type === 'BS' && isBinary(element))
+        return binaryToDDB(element);
+      throw invalid('Non Compatible Set [not a ' + (type || 'string|number|binary') + ' set]: ' + element);
+    });
+    var res = {};
+    res[type] = arr.filter(function(element, i)
+    {
+      return arr.indexOf(element) === i;
+    });
+    return res;
+  };
+
+
+  /**
+   * tells whether a value is a number: a finite or not number, a BigInt or
+   * an instance of the configured decimal wrapper
+   * @param value the value
+   * @return true if the value is a number
+   */
+  isNumber = function(value)
+  {
+    return typeof value === 'number' || typeof value === 'bigint' ||
+      (typeof my.numbers === 'object' && value !== null && value !== undefined && my.numbers.test(value));
+  };
+
+
+  /**
+   * converts a number to its string representation on the wire, checking it
+   * fits DynamoDB's 38 digits of precision and magnitude limits
+   * @param value a number, BigInt or decimal wrapper
+   * @throws an error if the number can't be stored
+   * @return res the number string
+   */
+  numberToDDB = function(value)
+  {
+    var str = value.toString();
+    var m = /^[-+]?(\d*)\.?(\d*)(?:e([-+]?\d+))?$/i.exec(str);
+    if (typeof value === 'number' && !isFinite(value))
+    {
+      throw invalid('Non Compatible Number [not finite]: ' + str);
+    }
+    if (!m || !(m[1] + m[2]))
+    {
+      throw invalid('Non Compatible Number [not a number]: ' + str);
+    }
+    var digits = (m[1] + m[2]).replace(/^0+/, '');
+    if (digits.length > 0)
+    {
+      var exponent = (parseInt(m[3] || '0', 10)) + m[1].replace(/^0+/, '').length -
+        (m[1].replace(/^0+/, '').length > 0 ? 1 : (m[2].length - m[2].replace(/^0+/, '').length) + 1);
+      if (digits.replace(/0+$/, '').length > 38)
+      {
+        throw invalid('Non Compatible Number [more than 38 digits of precision]: ' + str);
+      }
+      if (exponent > 125 || exponent < -130)
+      {
+        throw invalid('Non Compatible Number [out of the 1E-130, 1E+126 range]: ' + str);
+      }
+    }
+    return str;
+  };
+
+
+  /**
+   * converts a number string from the wire according to the configured
+   * numbers mode
+   * @param str the number string
+   * @return res a number, BigInt, string or decimal wrapper
+   */
+  numberFromDDB = function(str)
+  {
+    switch (my.numbers)
+    {
+      case 'float':
+        return parseFloat(str);
+      case 'string':
+        return str;
+      case 'bigint':
+        var n = parseFloat(str);
+        if (!Number.isSafeInteger(n) && /^-?\d+$/.test(str))
+          return BigInt(str);
+        return n;
+      default:
+        return my.numbers.parse(str);
+    }
+  };
+
+
+  /**
+   * tells whether a value is a binary value: a Buffer, a typed array or
+   * an ArrayBuffer
+   * @param value the value
+   * @return true if the value is binary
+   */
+  isBinary = function(value)
+  {
+    return Buffer.isBuffer(value) ||
+      (typeof ArrayBuffer !== 'undefined' && (value instanceof ArrayBuffer || ArrayBuffer.isView(value)));
+  };
+
+
+  /**
+   * encodes a binary value in base64 as expected on the wire
+   * @param value a Buffer, typed array or ArrayBuffer
+   * @return res the base64 string
+   */
+  binaryToDDB = function(value)
+  {
+    if (Buffer.isBuffer(value))
+      return value.toString('base64');
+    if (value instanceof ArrayBuffer)
+      return Buffer.from(value).toString('base64');
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64');
+  };
+
+
+  /**
+   * converts any javascript object to a map object. Handles 1 level
+   * a native JSON object. Attributes converted to undefined are omitted
+   * @param the object
+   * @param path the path of the object in its item, for hints (optional)
+   * @return res the converted object
+   */
+
+  mapToDDB = function(obj, path)
+  {
+    var nObj = {};
+    for (var key in obj)
+    {
+      if (obj.hasOwnProperty(key))
+      {
+        var attr = path ? path + '.' + key : key;
+        var converter = writeConverter(obj[key], attr);
+        var value = converter ? converter.marshal(obj[key]) : obj[key];
+        if (converter && value === undefined)
+          continue;
+        nObj[key] = typeToDDB(value, attr);
+      }
+    }
+
+    return nObj;
+  };
+
+  /**
+   * converts a DynamoDB compatible JSON object into
+   * a native JSON object
+   * @param ddb the ddb JSON object
+   * @param path the path of the object in its item, for error messages (optional)
+   * @throws an error if input object is not compatible
+   * @return res the converted object
+   */
+  objFromDDB = function(ddb, path)
+  {
+    if (typeof ddb === 'object' && ddb !== null)
+    {
+      var res = {};
+      for (var i in ddb)
+      {
+        if (ddb.hasOwnProperty(i))
+        {
+          var attr = path ? path + '.' + i : i;
+          res[i] = convertFromDDB(valueFromDDB(ddb[i], attr), attr);
+        }
+      }
+      return res;
+    }
+    else
+      return ddb;
+  };
+
+
+  /**
+   * converts a DynamoDB attribute value of any type into its native
+   * counterpart, recursing into maps and lists
+   * @param value the DynamoDB attribute value {"S": "str"}, {"L": [...]}, ...
+   * @param path the path of the value in its item, for error messages
+   * @throws an error if the value type is unknown
+   * @return res the converted value
+   */
+  valueFromDDB = function(value, path)
+  {
+    var has = function(type)
+    {
+      return typeof value === 'object' && value !== null && value.hasOwnProperty(type);
+    };
+    if (has('S'))
+      return value['S'];
+    if (has('N'))
+      return numberFromDDB(value['N']);
+    if (has('B'))
+      return Buffer.from(value['B'], 'base64');
+    if (has('BOOL'))
+      return value['BOOL'];
+    if (has('NULL'))
+      return null;
+    if (has('SS'))
+      return set(value['SS'], 'SS');
+    if (has('NS'))
+    {
+      return set(value['NS'].map(function(n)
+      {
+        return numberFromDDB(n);
+      }), 'NS');
+    }
+    if (has('BS'))
+    {
+      return set(value['BS'].map(function(b)
+      {
+        return Buffer.from(b, 'base64');
+      }), 'BS');
+    }
+    if (has('M'))
+      return objFromDDB(value['M'], path);
+    if (has('L'))
+    {
+      return value['L'].map(function(element, i)
+      {
+        var elementPath = path + '[' + i + ']';
+        return convertFromDDB(valueFromDDB(element, elementPath), elementPath);
+      });
+    }
+    throw invalid('Non Compatible Field [not "S"|"N"|"B"|"BOOL"|"NULL"|"SS"|"NS"|"BS"|"M"|"L"]: ' + path);
+  };
+
+
+  /**
+   * converts an array of DynamoDB compatible JSON object into
+   * an array of native JSON object
+   * @param arr the array of ddb  objects to convert
+   * @throws an error if input object is not compatible
+   * @return res the converted object
+   */
+  arrFromDDB = function(arr)
+  {
+    var length = arr.length;
+    for (var i = 0; i < length; ++i)
+    {
+      arr[i] = objFromDDB(arr[i]);
+    }
+    return arr;
+  };
+
+
+  /**
+   * makes a callback based method return a promise when it is called
+   * without callback. Missing optional arguments default to {}
+   * @param method the callback based method
+   * @param arity the number of arguments of method, callback included
+   * @param result function(cbArgs...) building the value the promise resolves to
+   * @return the wrapped method
+   */
+  promised = function(method, arity, result)
+  {
+    return function()
+    {
+      var args = Array.prototype.slice.call(arguments);
+      for (var i = 0; i < args.length; i++)
+      {
+        if (typeof args[i] === 'function')
+          return method.apply(that, args);
+      }
+      while (args.length < arity - 1)
+        args.push({});
+      return new Promise(function(resolve, reject)
+      {
+        args.push(function(err)
+        {
+          if (err)
+            reject(err);
+          else
+            resolve(result.apply(null, Array.prototype.slice.call(arguments, 1)));
+        });
+        method.apply(that, args);
+      });
+    };
+  };
+
+
+  /**
+   * builds a promise result mapper naming the callback arguments
+   * @param names array of names, one per callback argument
+   * @return function(cbArgs...) returning the named dictionary
+   */
+  named = function(names)
+  {
+    return function()
+    {
+      var res = {};
+      for (var i = 0; i < names.length; i++)
+      {
+        res[names[i]] = arguments[i];
+      }
+      return res;
+    };
+  };
+
+
+  /**
+   * promise result mapper merging a result dictionary with the consumed
+   * capacity units
+   * @param res the result dictionary
+   * @param cap the consumed capacity units
+   * @return the merged dictionary
+   */
+  withCapacity = function(res, cap)
+  {
+    var out = {};
+    for (var i in res)
+    {
+      if (res.hasOwnProperty(i))
+        out[i] = res[i];
+    }
+    out.consumedCapacity = cap;
+    return out;
+  };
+
+
+  /**
+   * returns a copy of the options with a pagination start key set
+   * @param options the options (optional)
+   * @param name the name of the start key option
+   * @param value the start key, not set if null or undefined
+   * @return the new options
+   */
+  withStartKey = function(options, name, value)
+  {
+    var res = {};
+    for (var i in options)
+    {
+      if (options.hasOwnProperty(i))
+        res[i] = options[i];
+    }
+    if (value !== null && value !== undefined)
+      res[name] = value;
+    return res;
+  };
+
+
+  /**
+   * builds an object mode Readable stream over paginated results, fetching
+   * the next page only when the stream is read
+   * @param fetchPage same as paginate
+   * @return the Readable stream
+   */
+  pageStream = function(fetchPage)
+  {
+    var startKey;
+    var last = false;
+    return new stream.Readable(
+    {
+      objectMode: true,
+      read: function()
+      {
+        var readable = this;
+        if (last)
         {
-          if (res.Items)
+          readable.push(null);
+          return;
+        }
+        fetchPage(startKey, function(err, elements, nextKey)
+        {
+          if (err)
           {
-            r.items = arrFromDDB(res.Items);
+            readable.destroy(err);
+            return;
           }
-          if (res.LastEvaluatedKey)
+          startKey = nextKey;
+          last = (nextKey === null || nextKey === undefined);
+          for (var i = 0; i < elements.length; i++)
           {
-            var key = objFromDDB(res.LastEvaluatedKey);
-            r.lastEvaluatedKey = key;
+            readable.push(elements[i]);
           }
-        }
-        catch (err)
-        {
-          cb(err);
-          return;
-        }
-        cb(null, r, res.ConsumedCapacity.CapacityUnits);
+          if (last)
+            readable.push(null);
+          else if (elements.length === 0)
+            readable._read();
+        });
       }
     });
   };
 
 
   /**
-   * returns one or more items and its attributes by performing a full scan of a table.
-   * @param table the tableName
-   * @param options {attributesToGet, limit, count, scanFilter, exclusiveStartKey}
-   * @param cb callback(err, {count, items, lastEvaluatedKey}) err is set if an error occured
+   * builds an async iterator over paginated results
+   * @param fetchPage function(startKey, cb) fetching the page starting at startKey
+   *        (undefined for the first page) and calling cb(err, elements, nextKey)
+   *        nextKey being null or undefined on the last page
+   * @return an async iterator usable with for await
    */
-  scan = function(table, options, cb)
+  paginate = function(fetchPage)
   {
-    var data = {};
-    try
+    var buffer = [];
+    var startKey;
+    var last = false;
+    var queue = Promise.resolve();
+
+    var step = function()
     {
-      data.TableName = table;
-      if (options.attributesToGet)
+      if (buffer.length > 0)
       {
-        data.AttributesToGet = options.attributesToGet;
+        return {
+          value: buffer.shift(),
+          done: false
+        };
       }
-
-
-      if (options.filterExpression)
+      if (last)
       {
-        data.FilterExpression = options.filterExpression;
+        return {
+          value: undefined,
+          done: true
+        };
       }
-
-      if (options.expressionAttributeValues)
+      return new Promise(function(resolve, reject)
       {
-        var attr = {};
-        for (var i in options.expressionAttributeValues)
+        fetchPage(startKey, function(err, elements, nextKey)
         {
-          if (options.expressionAttributeValues.hasOwnProperty(i))
+          if (err)
           {
-            attr[i] = scToDDB(options.expressionAttributeValues[i]);
+            last = true;
+            reject(err);
+            return;
           }
-        }
-        data.ExpressionAttributeValues = attr;
-      }
+          buffer = elements.slice();
+          startKey = nextKey;
+          last = (nextKey === null || nextKey === undefined);
+          resolve(step());
+        });
+      });
+    };
 
-      if (options.expressionAttributeNames)
+    var iterator = {
+      next: function()
       {
-        data.ExpressionAttributeNames = options.expressionAttributeNames;
-      }
-
-      if (options.limit)
+        var res = queue.then(step);
+        queue = res.then(null, function() {});
+        return res;
+      },
+      'return': function()
       {
-        data.Limit = options.limit;
+        last = true;
+        buffer = [];
+        return Promise.resolve(
+        {
+          value: undefined,
+          done: true
+        });
       }
-      if (options.count && !options.attributesToGet)
+    };
+    iterator[Symbol.asyncIterator] = function()
+    {
+      return iterator;
+    };
+    return iterator;
+  };
+
+
+  /**
+   * converts a batchGetItem request part
+   * {keys, attributesToGet, projectionExpression, expressionAttributeNames, consistentRead}
+   * into its DynamoDB counterpart
+   * @param part the request part
+   * @param keys the native keys to request
+   * @throws an error if a key is not compatible
+   * @return res the converted object
+   */
+  batchGetPartToDDB = function(part, keys)
+  {
+    part = expressions.resolve(part);
+    var res = {
+      Keys: keys.map(function(key)
       {
-        data.Count = options.count;
-      }
-      if (options.exclusiveStartKey)
+        return objToDDB(key);
+      })
+    };
+    if (part.attributesToGet)
+    {
+      res.AttributesToGet = part.attributesToGet;
+    }
+    if (part.projectionExpression)
+    {
+      res.ProjectionExpression = part.projectionExpression;
+    }
+    if (part.expressionAttributeNames)
+    {
+      res.ExpressionAttributeNames = part.expressionAttributeNames;
+    }
+    if (part.consistentRead)
+    {
+      res.ConsistentRead = part.consistentRead;
+    }
+    return res;
+  };
+
+
+  /**
+   * computes the delay before unprocessed items or keys are resubmitted,
+   * with the backoff of the retry policy of the client, or of the default
+   * policy when the call gives its own baseDelay or maxDelay
+   * @param attempt the number of resubmissions already made
+   * @param options {baseDelay, maxDelay}
+   * @return res the delay in ms
+   */
+  unprocessedDelay = function(attempt, options)
+  {
+    var policy = my.retry;
+    if (options.baseDelay || options.maxDelay || typeof policy.delay !== 'function')
+    {
+      policy = retries.policy({
+        baseDelay: options.baseDelay,
+        maxDelay: options.maxDelay,
+        budget: false
+      });
+    }
+    return policy.delay({ attempts: attempt + 1 });
+  };
+
+
+  /**
+   * calls fn on each element of a list with at most limit calls running at
+   * the same time
+   * @param list the array of elements
+   * @param limit the maximum number of concurrent calls
+   * @param fn function(element, done) done(err) must be called once per element
+   * @param cb callback(err) called once all calls are done or after the first error
+   */
+  eachLimit = function(list, limit, fn, cb)
+  {
+    var next = 0;
+    var running = 0;
+    var finished = false;
+    (function pump()
+    {
+      if (finished)
+        return;
+      if (next === list.length && running === 0)
       {
-        data.ExclusiveStartKey = {};
-        for (var i in options.exclusiveStartKey)
-        {
-          data.ExclusiveStartKey[i] = scToDDB(options.exclusiveStartKey[i]);
-        }
+        finished = true;
+        cb(null);
+        return;
       }
-      if (options.filter)
+      while (next < list.length && running < limit)
       {
-        data.ScanFilter = {}
-        for (var attr in options.filter)
+        running++;
+        fn(list[next++], function(err)
         {
-          if (options.filter.hasOwnProperty(attr))
+          running--;
+          if (err && !finished)
           {
-            for (var op in options.filter[attr])
-            { // supposed to be only one
-              if (typeof op === 'string')
-              {
-                data.ScanFilter[attr] = {
-                  "AttributeValueList": [],
-                  "ComparisonOperator": op.toUpperCase()
-                };
-                if (op === 'not_null' || op === 'null')
-                {
-                  // nothing ot do
-                }
-                else if ((op == 'between' || op == 'in') &&
-                  Array.isArray(options.filter[attr][op]) &&
-                  options.filter[attr][op].length > 1)
-                {
-                  for (var i = 0; i < options.filter[attr][op].length; ++i)
-                  {
-                    data.ScanFilter[attr].AttributeValueList.push(scToDDB(options.filter[attr][op][i]));
-                  }
-                }
-                else
-                {
-                  data.ScanFilter[attr].AttributeValueList.push(scToDDB(options.filter[attr][op]));
-                }
-              }
-            }
+            finished = true;
+            cb(err);
+            return;
           }
-        }
+          pump();
+        });
       }
-    }
-    catch (err)
+    })();
+  };
+
+
+  /**
+   * retrieves the names of the key attributes of tables, using DescribeTable
+   * for the tables whose keys are not known yet
+   * @param tables array of table names
+   * @param options {keys, timeout, connectTimeout, signal, middleware} keys is
+   *        a dictionary of table to key attributes names, the others are the
+   *        options of the DescribeTable calls
+   * @param cb callback(err, keys) keys is a dictionary of table to key attributes names
+   */
+  keyAttributes = function(tables, options, cb)
+  {
+    var keys = {};
+    var missing = tables.filter(function(table)
+    {
+      keys[table] = (options.keys && options.keys[table]) || my.keyAttributes[table];
+      return !keys[table];
+    });
+    if (missing.length === 0)
     {
-      cb(err);
+      cb(null, keys);
       return;
     }
-    //console.log(require('util').inspect(data));
-    execute('Scan', data, function(err, res)
+    var table = missing[0];
+    describeTable(table, options, function(err, res)
     {
       if (err)
       {
-        cb(err)
+        cb(err);
+        return;
       }
-      else
+      my.keyAttributes[table] = res.KeySchema.map(function(key)
       {
-        my.consumedCapacity += res.ConsumedCapacity.CapacityUnits;
-        var r = {
-          count: res.Count,
-          items: [],
-          lastEvaluatedKey: null,
-          scannedCount: res.ScannedCount
-        };
-        try
-        {
-          if (Array.isArray(res.Items))
-          {
-            r.items = arrFromDDB(res.Items);
-          }
-          if (res.LastEvaluatedKey)
-          {
-            var key = objFromDDB(res.LastEvaluatedKey);
-            r.lastEvaluatedKey = key;
-          }
-        }
-        catch (err)
-        {
-          cb(err);
-          return;
-        }
-        cb(null, r, res.ConsumedCapacity.CapacityUnits);
-      }
+        return key.AttributeName;
+      });
+      keyAttributes(tables, options, cb);
     });
   };
 
 
-
-  //-- INTERNALS --//
-
   /**
-   * converts a JSON object (dictionary of values) to an amazon DynamoDB
-   * compatible JSON object
-   * @param json the JSON object
-   * @throws an error if input object is not compatible
-   * @return res the converted object
+   * executes a BatchWriteItem call on already converted request items and
+   * resubmits its unprocessed items with backoff
+   * @param requestItems DynamoDB RequestItems
+   * @param options {maxRetries, baseDelay, maxDelay}
+   * @param cb callback(err, res) res is {written, consumedCapacity, unprocessed}
+   *        dictionaries by table. Unprocessed items are in DynamoDB format
    */
-  objToDDB = function(json)
+  writeChunk = function(requestItems, options, cb)
   {
-    if (typeof json === 'object')
+    var res = {
+      written: {},
+      consumedCapacity: {},
+      unprocessed: {}
+    };
+    var maxRetries = (typeof options.maxRetries === 'number') ? options.maxRetries : 10;
+
+    (function attempt(c, pending)
     {
-      var res = {};
-      for (var i in json)
+      execute('BatchWriteItem',
       {
-        if (json.hasOwnProperty(i))
+        RequestItems: pending
+      }, options, function(err, out)
+      {
+        if (err)
         {
-          res[i] = scToDDB(json[i]);
+          res.unprocessed = pending;
+          cb(err, res);
+          return;
         }
-      }
-      return res;
-    }
-    else
-      return json;
+        (out.ConsumedCapacity || []).forEach(function(cap)
+        {
+          res.consumedCapacity[cap.TableName] = (res.consumedCapacity[cap.TableName] || 0) + cap.CapacityUnits;
+        });
+        my.consumedCapacity += sumCapacity(out.ConsumedCapacity);
+        var unprocessed = out.UnprocessedItems || {};
+        var left = 0;
+        for (var table in pending)
+        {
+          var count = unprocessed[table] ? unprocessed[table].length : 0;
+          res.written[table] = (res.written[table] || 0) + pending[table].length - count;
+          left += count;
+        }
+        if (left === 0)
+        {
+          cb(null, res);
+        }
+        else if (c >= maxRetries)
+        {
+          res.unprocessed = unprocessed;
+          cb(null, res);
+        }
+        else
+        {
+          setTimeout(function()
+          {
+            attempt(c + 1, unprocessed);
+          }, unprocessedDelay(c, options));
+        }
+      });
+    })(0, requestItems);
   };
 
 
   /**
-   * converts a string, string array, number, number array (scalar), map or map array
-   * JSON object to an amazon DynamoDB compatible JSON object
-   * @param json the JSON scalar object
-   * @throws an error if input object is not compatible
-   * @return res the converted object
+   * copies the condition expression options of a write operation into its
+   * DynamoDB request
+   * @param options {conditionExpression, expressionAttributeNames,
+   *                 expressionAttributeValues, returnValuesOnConditionCheckFailure}
+   * @param data the DynamoDB request to complete
+   * @throws an error if the expression values are not compatible
    */
-  scToDDB = function(value)
+  conditionToDDB = function(options, data)
   {
-    if (typeof value === 'number')
-    {
-      return {
-        "N": value.toString()
-      };
-    }
-    if (typeof value === 'string')
-    {
-      return {
-        "S": value
-      };
-    }
-    if (typeof value === 'boolean')
+    if (options.conditionExpression)
     {
-      return {
-        "BOOL": value
-      };
+      data.ConditionExpression = options.conditionExpression;
     }
-    if (value === null)
+    if (options.expressionAttributeNames)
     {
-      return {
-        "NULL": true
-      };
+      data.ExpressionAttributeNames = options.expressionAttributeNames;
     }
-    if (!Array.isArray(value) && typeof value === 'object' && value !== null)
+    if (options.expressionAttributeValues)
     {
-      return {
-        "M": mapToDDB(value)
-      };
+      data.ExpressionAttributeValues = objToDDB(options.expressionAttributeValues);
     }
-
-    if (Array.isArray(value))
+    if (options.returnValuesOnConditionCheckFailure)
     {
-      var arr = [];
-      var length = value.length;
-      var isSS = "NS";
-      for (var i = 0; i < length; ++i)
-      {
-        if (typeof value[i] === 'string')
-        {
-          arr[i] = value[i];
-          isSS = "SS";
-        }
-        else if (typeof value[i] === 'number')
-        {
-          arr[i] = value[i].toString();
-        }
-        else if (typeof value[i] === 'object')
-        {
-          arr[i] = {
-            "M": mapToDDB(value[i])
-          };
-          isSS = "L";
-        }
-      }
-
-      switch (isSS)
-      {
-        case "NS":
-          return {
-            "NS": arr
-          };
-          break;
-        case "SS":
-          return {
-            "SS": arr
-          };
-          break;
-        case "L":
-          return {
-            "L": arr
-          };
-          break;
-        case "M":
-          return {
-            "M": arr
-          };
-          break;
-      }
+      data.ReturnValuesOnConditionCheckFailure = options.returnValuesOnConditionCheckFailure;
     }
-    throw new Error('Non Compatible Field [not string|number|string array|number array]: ' + value);
-  }
+  };
+
 
   /**
-   * converts any javascript object to a map object. Handles 1 level
-   * a native JSON object
-   * @param the object
-   * @return res the converted object
+   * flags a failed conditional write error and converts the current item
+   * returned with ReturnValuesOnConditionCheckFailure
+   * @param err the error returned by execute
+   * @return err with conditionalCheckFailed set and item when available
    */
-
-  mapToDDB = function(obj)
+  conditionFailure = function(err)
   {
-    var nObj = {};
-    for (key in obj)
+    if (err.code === 'ConditionalCheckFailedException')
     {
-      if (obj.hasOwnProperty(key))
+      err.conditionalCheckFailed = true;
+      if (err.data && err.data.Item)
       {
-        nObj[key] = scToDDB(obj[key]);
+        try
+        {
+          err.item = objFromDDB(err.data.Item);
+        }
+        catch (e)
+        {
+          // keep the raw item available in err.data
+        }
       }
     }
+    return err;
+  };
 
-    return nObj;
-  }
 
   /**
-   * converts any javascript object to a map object. Handles 1 level
-   * a native JSON object
-   * @param the object
+   * builds the part of a transaction action common to Put, Update,
+   * Delete and ConditionCheck
+   * @param action the native action {table, conditionExpression, updateExpression,
+   *               expressionAttributeNames, expressionAttributeValues,
+   *               returnValuesOnConditionCheckFailure}
+   * @throws an error if the expression values are not compatible
    * @return res the converted object
    */
+  transactItemToDDB = function(action)
+  {
+    action = expressions.resolve(action);
+    var res = {
+      TableName: action.table
+    };
+    if (action.updateExpression)
+    {
+      res.UpdateExpression = action.updateExpression;
+    }
+    conditionToDDB(action, res);
+    return res;
+  };
 
-  mapFromDDB = function(obj)
+
+  /**
+   * sums the capacity units of a ConsumedCapacity object, or array as
+   * returned by multi-table operations. Results given by middlewares may
+   * have none
+   * @param consumedCapacity {TableName, CapacityUnits} or an array of them
+   *        (optional)
+   * @return res the total capacity units
+   */
+  sumCapacity = function(consumedCapacity)
   {
-    var nObj = {};
-    for (key in obj)
+    var res = 0;
+    consumedCapacity = [].concat(consumedCapacity || []);
+    for (var i = 0; i < consumedCapacity.length; i++)
     {
-      if (obj.hasOwnProperty(key))
-      {
-        nObj[key] = objFromDDB(obj[key]);
-      }
+      res += consumedCapacity[i].CapacityUnits || 0;
     }
+    return res;
+  };
 
-    return nObj;
-  }
+
+  /**
+   * checks a middleware and numbers it in the order of registration
+   * @param middleware {phase, fn, priority}
+   * @return the middleware {phase, fn, priority, sequence}
+   * @throws an error if the phase or the function is invalid
+   */
+  toMiddleware = function(middleware)
+  {
+    if (PHASES.indexOf(middleware.phase) === -1)
+      throw new Error('Unknown Middleware Phase [' + PHASES.join('|') + ']: ' + middleware.phase);
+    if (typeof middleware.fn !== 'function')
+      throw new Error('Invalid Middleware [fn is not a function]: ' + middleware.phase);
+    return {
+      phase: middleware.phase,
+      fn: middleware.fn,
+      priority: middleware.priority || 0,
+      sequence: my.sequence++
+    };
+  };
 
 
   /**
-   * converts a DynamoDB compatible JSON object into
-   * a native JSON object
-   * @param ddb the ddb JSON object
-   * @throws an error if input object is not compatible
-   * @return res the converted object
+   * the middlewares of a call: the ones of the client, then the ones of
+   * options.middleware, ordered by priority
+   * @param options the options of the call
+   * @return the ordered middlewares
+   * @throws an error if a middleware of the call is invalid
    */
-  objFromDDB = function(ddb)
+  middlewareStack = function(options)
   {
-    if (typeof ddb === 'object')
+    var stack = my.middleware.concat((options.middleware || []).map(toMiddleware));
+    return stack.sort(function(a, b)
     {
-      var res = {};
-      for (var i in ddb)
-      {
-        if (ddb.hasOwnProperty(i))
-        {
-          if (ddb[i]['S'])
-            res[i] = ddb[i]['S'];
-          else if (ddb[i]['SS'])
-            res[i] = ddb[i]['SS'];
-          else if (ddb[i]['N'])
-            res[i] = parseFloat(ddb[i]['N']);
-          else if (ddb[i]['NS'])
-          {
-            res[i] = [];
-            for (var j = 0; j < ddb[i]['NS'].length; j++)
-            {
-              res[i][j] = parseFloat(ddb[i]['NS'][j]);
-            }
-          }
-          else if (ddb[i]['BOOL'] !== undefined)
-          {
-            res[i] = ddb[i]['BOOL'];
-          }
-          else if (ddb[i]['NULL'])
-          {
-            res[i] = null;
-          }
-          else if (ddb[i]['M'])
-          {
-            res[i] = objFromDDB(ddb[i]['M']);
-          }
-          else if (ddb[i]['L'])
-          {
-            res[i] = objFromDDB(ddb[i]['L']);
-          }
-          else
-            throw new Error('Non Compatible Field [not "S"|"N"|"NS"|"SS"]: ' + i);
-        }
-      }
-      return res;
-    }
-    else
-      return ddb;
+      return (a.priority - b.priority) || (a.sequence - b.sequence);
+    });
   };
 
 
   /**
-   * converts an array of DynamoDB compatible JSON object into
-   * an array of native JSON object
-   * @param arr the array of ddb  objects to convert
-   * @throws an error if input object is not compatible
-   * @return res the converted object
+   * runs the middlewares of a phase, one after the other
+   * @param stack the middlewares of the call
+   * @param phase the phase
+   * @param context the context of the call
+   * @param cb callback(err, result) called once all the middlewares went on,
+   *        or with the error or result of the one stopping the chain
    */
-  arrFromDDB = function(arr)
+  runMiddleware = function(stack, phase, context, cb)
   {
-    var length = arr.length;
-    for (var i = 0; i < length; ++i)
+    var fns = stack.filter(function(middleware)
     {
-      arr[i] = objFromDDB(arr[i]);
-    }
-    return arr;
+      return middleware.phase === phase;
+    });
+    context.phase = phase;
+    (function next(i)
+    {
+      if (i >= fns.length)
+        return cb();
+      var proceed = function(err, result)
+      {
+        if (err || result !== undefined)
+          return cb(err, result);
+        next(i + 1);
+      };
+      // the rest of the chain runs out of the try block: only the errors
+      // thrown by the middleware itself are caught
+      var called = false;
+      var pending = [];
+      var done = function(err, result)
+      {
+        if (called)
+          return;
+        called = true;
+        if (pending)
+          pending.push([err, result]);
+        else
+          proceed(err, result);
+      };
+      try
+      {
+        fns[i].fn(context, done);
+      }
+      catch (err)
+      {
+        done(err);
+      }
+      var outcome = pending[0];
+      pending = null;
+      if (outcome)
+        proceed(outcome[0], outcome[1]);
+    })(0);
   };
 
 
   /**
    * executes a constructed request, eventually calling auth.
-   * @param request JSON request body
-   * @param cb callback(err, result) err specified in case of error
+   * Attempts are bounded by the connectTimeout and timeout options (client
+   * wide or per call, in ms) and cancelled by their AbortSignals. Timed out
+   * attempts are retried, aborted requests are not.
+   * The middlewares of the client and of the call see a context {operation,
+   * table, params, options, request, response, attempt, timings, result,
+   * error} through the phases:
+   * - before-marshal: params (the request body) can be changed or replaced
+   * - before-sign: request {method, uri, query, headers, body} can be
+   *   changed or replaced, it is signed and sent as it is left
+   * - after-send: response {statusCode, headers, body} of each attempt
+   * - after-unmarshal: result, the parsed body, can be changed or replaced
+   * - on-error: error can be replaced, or recovered from with a result
+   * A result given in before-marshal or before-sign is returned as is.
+   * timings holds the start of the call, and the time the last attempt was
+   * sent and its response received (ms)
+   * @param op the DynamoDB operation
+   * @param data JSON request body
+   * @param options {timeout, connectTimeout, signal, middleware} (optional)
+   * @param cb callback(err, result) err specified in case of error. err.code
+   *        is 'TimeoutError' (err.phase 'connect' or 'request') or 'AbortError'
    */
 
-  execute = function(op, data, cb)
+  execute = function(op, data, options, cb)
   {
+    options = options || {};
+    try
+    {
+      var stack = middlewareStack(options);
+    }
+    catch (err)
+    {
+      return cb(err);
+    }
+    var context = {
+      operation: op,
+      table: data.TableName,
+      params: data,
+      options: options,
+      attempt: 0,
+      timings: {
+        start: Date.now()
+      }
+    };
+
+    // the final outcome of the call, whatever the middlewares did, is logged
+    var reply = cb;
+    var callback = function(err, result)
+    {
+      if (my.logger && err)
+        my.logger.failed(context, err);
+      else if (my.logger)
+        my.logger.completed(context, result);
+      reply(err, result);
+    };
+
+    // the outcome of the call goes through the after-unmarshal or on-error
+    // middlewares
+    cb = function(err, json)
+    {
+      if (err)
+      {
+        context.error = err;
+        return runMiddleware(stack, 'on-error', context, function(e, result)
+        {
+          if (!e && result !== undefined)
+            return callback(null, result);
+          callback(e || context.error);
+        });
+      }
+      context.result = json;
+      runMiddleware(stack, 'after-unmarshal', context, function(e, result)
+      {
+        if (e)
+          return callback(e);
+        callback(null, result !== undefined ? result : context.result);
+      });
+    };
+
+    var connectTimeout = options.connectTimeout || my.connectTimeout;
+    var timeout = options.timeout || my.timeout;
+    var signals = [my.signal, options.signal].filter(function(signal)
+    {
+      return signal;
+    });
+
+    var aborted = function()
+    {
+      for (var i = 0; i < signals.length; i++)
+      {
+        if (signals[i].aborted)
+        {
+          return errors.create(op + ' [aborted]', {
+            code: 'AbortError',
+            operation: op,
+            table: data.TableName,
+            reason: signals[i].reason
+          });
+        }
+      }
+      return null;
+    };
+
+    var onAbort = function(fn)
+    {
+      signals.forEach(function(signal)
+      {
+        signal.addEventListener('abort', fn);
+      });
+      return function()
+      {
+        signals.forEach(function(signal)
+        {
+          signal.removeEventListener('abort', fn);
+        });
+      };
+    };
 
-    var date = new Date();
+    var timeoutError = function(phase, ms)
+    {
+      return errors.create(op + ' [timeout]: ' + (phase === 'connect' ? 'no connection' : 'no response') +
+        ' after ' + ms + 'ms', {
+        code: 'TimeoutError',
+        operation: op,
+        table: data.TableName,
+        phase: phase,
+        timeout: ms
+      });
+    };
 
     var headers = {
-      "host": my.endpoint,
-      "x-amz-date": Signer._requestDate(date),
+      "host": my.transport.host,
       "x-amz-target": "DynamoDB_20120810." + op,
       "content-type": "application/x-amz-json-1.0"
     };
-    data.ReturnConsumedCapacity = 'TOTAL';
     var request = {
       method: "POST",
       uri: "/",
       query: "",
       headers: headers,
-      body: JSON.stringify(data)
+      body: null
     };
 
-    headers.authorization = Signer.authorization(spec.credentials, request, date, spec.region);
-
-    if ('securityToken' in spec.credentials)
-      headers["x-amz-security-token"] = self.credentials.securityToken;
-
-    var opts = {
-      method: request.method,
-      path: request.uri,
-      headers: headers,
-      host: my.endpoint
-    };
+    // built once the before-sign middlewares and the signature are done
+    var opts = null;
 
 
     var executeRequest = function(cb)
     {
+      var timers = [];
+      var req;
+      var stopListening = onAbort(function()
+      {
+        fail(aborted());
+      });
+      var finish = function(err, json)
+      {
+        if (!cb)
+        {
+          // Do not call callback if it's already been called in the error handler.
+          return;
+        }
+        timers.forEach(clearTimeout);
+        stopListening();
+        var callback = cb;
+        cb = undefined;
+        callback(err, json);
+      };
+      var failed = function(err)
+      {
+        finish(errors.wrap(op, err, { table: data.TableName }));
+      };
+      // a request still waiting for a socket does not emit its error
+      var fail = function(err)
+      {
+        req.destroy(err);
+        finish(err);
+      };
+
       var reqCb = function(res)
       {
-        var body = '';
+        var chunks = [];
         res.on('data', function(chunk)
         {
-          body += chunk;
+          chunks.push(chunk);
         });
+        res.on('error', failed);
         res.on('end', function()
         {
           if (!cb)
           {
-            // Do not call callback if it's already been called in the error handler.
             return;
           }
-          try
-          {
-            var json = JSON.parse(body);
-          }
-          catch (err)
+          var body = Buffer.concat(chunks);
+          context.timings.received = Date.now();
+          context.response = {
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: body
+          };
+          if (my.logger)
+            my.logger.attempt(context);
+          runMiddleware(stack, 'after-send', context, function(err, result)
           {
-            cb(err);
+            if (err || result !== undefined)
+              return finish(err, result);
+            receive(res, body);
+          });
+        });
+      };
+
+      var receive = function(res, body)
+      {
+        if (!cb)
+        {
+          return;
+        }
+        // truncated or corrupted bodies are caught before being parsed
+        var expected = res.headers['x-amz-crc32'];
+        if (my.checksums && expected !== undefined && crc32(body) !== Number(expected))
+        {
+          finish(errors.create(op + ' [' + res.statusCode + ']: CRC32 mismatch (expected ' + expected +
+            ', got ' + crc32(body) + ')', {
+            code: 'CRC32CheckFailed',
+            operation: op,
+            table: data.TableName,
+            statusCode: res.statusCode,
+            requestId: res.headers['x-amzn-requestid']
+          }));
+          return;
+        }
+        try
+        {
+          var json = JSON.parse(body.toString('utf8'));
+        }
+        catch (err)
+        {
+          finish(errors.create(op + ' [' + res.statusCode + ']: ' + err.message, {
+            code: 'JSONParseError',
+            operation: op,
+            table: data.TableName,
+            statusCode: res.statusCode,
+            requestId: res.headers['x-amzn-requestid'],
+            cause: err
+          }));
+          return;
+        }
+        if (res.statusCode >= 300)
+        {
+          finish(errors.fromResponse(op, res.statusCode, json, {
+            table: data.TableName,
+            requestId: res.headers['x-amzn-requestid']
+          }));
+        }
+        else
+        {
+          finish(null, json);
+        }
+      };
+
+      context.timings.sent = Date.now();
+      req = my.transport.request(opts, reqCb);
+
+      if (timeout)
+      {
+        timers.push(setTimeout(function()
+        {
+          fail(timeoutError('request', timeout));
+        }, timeout));
+      }
+      if (connectTimeout)
+      {
+        req.on('socket', function(socket)
+        {
+          // sockets reused from a keep-alive pool are already connected
+          if (!socket.connecting)
             return;
-          }
-          if (res.statusCode >= 300)
+          var timer = setTimeout(function()
           {
-            var err = new Error(op + ' [' + res.statusCode + ']: ' + (json.message || json['__type']));
-            err.type = json['__type'];
-            err.statusCode = res.statusCode;
-            err.requestId = res.headers['x-amzn-requestid'];
-            err.message = op + ' [' + res.statusCode + ']: ' + (json.message || json['__type']);
-            err.code = err.type.substring(err.type.lastIndexOf("#") + 1, err.type.length);
-            err.data = json;
-            cb(err);
-          }
-          else
+            fail(timeoutError('connect', connectTimeout));
+          }, connectTimeout);
+          timers.push(timer);
+          socket.once('connect', function()
           {
-            cb(null, json);
-          }
+            clearTimeout(timer);
+          });
         });
-      };
-
-      if(!spec.https)
-        var req = http.request(opts, reqCb);
-      else
-        var req = https.request(opts, reqCb);
+      }
 
+      req.on('error', failed);
 
-      req.setTimeout(0);
+      req.write(request.body);
+      req.end();
+    };
 
-      req.on('error', function(err)
+    // waits before an attempt, unless a signal aborts the request
+    var later = function(delay)
+    {
+      var stopListening = onAbort(function()
       {
-        cb(err);
-        cb = undefined; // Clear callback so we do not call it twice
+        clearTimeout(timer);
+        stopListening();
+        cb(aborted());
       });
+      var timer = setTimeout(function()
+      {
+        stopListening();
+        retry();
+      }, delay);
+    };
 
-      req.write(request.body);
-      req.end();
+    // each attempt is signed again: a signature is only valid for a few
+    // minutes and credentials may have been refreshed in the meantime
+    var sign = function(cb)
+    {
+      my.credentials(function(err, creds)
+      {
+        if (err)
+          return cb(errors.wrap(op, err, { table: data.TableName }));
+        var date = new Date();
+        request.headers["x-amz-date"] = Signer._requestDate(date);
+        if (creds.sessionToken)
+          request.headers["x-amz-security-token"] = creds.sessionToken;
+        else
+          delete request.headers["x-amz-security-token"];
+        request.headers.authorization = Signer.authorization(creds, request, date, my.region, 'dynamodb');
+        cb();
+      });
     };
 
-    // see: https://github.com/amazonwebservices/aws-sdk-for-php/blob/master/sdk.class.php
-    // for the original php retry logic used here
-    (function retry(c)
+    // attempts are retried as decided by the retry policy (see retry.js)
+    var state = {
+      attempts: 0,
+      delay: 0,
+      cost: 0
+    };
+    var retry = function()
     {
-      executeRequest(function(err, json)
+      var err = aborted();
+      if (err)
+        return cb(err);
+      state.attempts++;
+      context.attempt = state.attempts;
+      sign(function(err)
       {
-        if (err != null)
+        err = err || aborted();
+        if (err)
+          return cb(err);
+        executeRequest(function(err, json)
         {
-          if (err.statusCode === 500 || err.statusCode === 503)
-          {
-            if (c <= my.retries)
-            {
-              setTimeout(function()
-              {
-                retry(c + 1);
-              }, Math.pow(4, c) * 100);
-            }
-            else
-              cb(err);
-          }
-          else if (err.statusCode === 400 &&
-            (err.code === "ProvisionedThroughputExceededException"))
-          {
-            if (c === 0)
-            {
-              retry(c + 1);
-            }
-            else if (c <= my.retries && c <= 10)
-            {
-              setTimeout(function()
-              {
-                retry(c + 1);
-              }, Math.pow(2, c - 1) * (25 * (Math.random() + 1)));
-            }
-            else
-              cb(err);
-          }
-          else
+          if (err == null)
           {
-            cb(err);
+            my.retry.succeeded(state);
+            return cb(null, json);
           }
-        }
-        else
-        {
-          cb(null, json);
-        }
+          err.attempts = state.attempts;
+          if (err.code === 'AbortError')
+            return cb(err);
+          var decision = my.retry.decide(err, state);
+          if (!decision.retry)
+            return cb(err);
+          that.emit('retry', {
+            operation: op,
+            table: data.TableName,
+            attempt: state.attempts,
+            delay: decision.delay,
+            reason: decision.reason,
+            error: err
+          });
+          later(decision.delay);
+        });
       });
-    })(0);
+    };
 
+    runMiddleware(stack, 'before-marshal', context, function(err, result)
+    {
+      if (err)
+        return cb(err);
+      if (result !== undefined)
+        return callback(null, result);
+      data = context.params;
+      data.ReturnConsumedCapacity = 'TOTAL';
+      request.body = JSON.stringify(data);
+      context.request = request;
+      runMiddleware(stack, 'before-sign', context, function(err, result)
+      {
+        if (err)
+          return cb(err);
+        if (result !== undefined)
+          return callback(null, result);
+        // the before-sign middlewares may have replaced the request
+        request = context.request;
+        var query = Signer._canonicalQuery(request.query);
+        opts = {
+          method: request.method,
+          path: Signer._canonicalUri(request.uri, 'dynamodb') + (query ? '?' + query : ''),
+          headers: request.headers
+        };
+        retry();
+      });
+    });
   };
 
-  fwk.method(that, 'createTable', createTable, _super);
-  fwk.method(that, 'listTables', listTables, _super);
-  fwk.method(that, 'describeTable', describeTable, _super);
-  fwk.method(that, 'updateTable', updateTable, _super);
-  fwk.method(that, 'deleteTable', deleteTable, _super);
-
-  fwk.method(that, 'putItem', putItem, _super);
-  fwk.method(that, 'getItem', getItem, _super);
-  fwk.method(that, 'deleteItem', deleteItem, _super);
-  fwk.method(that, 'updateItem', updateItem, _super);
-  fwk.method(that, 'query', query, _super);
-  fwk.method(that, 'batchGetItem', batchGetItem, _super);
-  fwk.method(that, 'batchWriteItem', batchWriteItem, _super);
-  fwk.method(that, 'scan', scan, _super);
+  fwk.method(that, 'createTable', promised(createTable, 5, named(['table'])), _super);
+  fwk.method(that, 'listTables', promised(listTables, 2, function(res)
+  {
+    return {
+      tableNames: res.TableNames || [],
+      lastEvaluatedTableName: res.LastEvaluatedTableName
+    };
+  }), _super);
+  fwk.method(that, 'describeTable', promised(describeTable, 3, named(['table'])), _super);
+  fwk.method(that, 'updateTable', promised(updateTable, 4, named(['table'])), _super);
+  fwk.method(that, 'deleteTable', promised(deleteTable, 3, named(['table'])), _super);
+
+  fwk.method(that, 'putItem', promised(putItem, 4, named(['attributes', 'consumedCapacity'])), _super);
+  fwk.method(that, 'getItem', promised(getItem, 4, named(['item', 'consumedCapacity'])), _super);
+  fwk.method(that, 'deleteItem', promised(deleteItem, 4, named(['attributes', 'consumedCapacity'])), _super);
+  fwk.method(that, 'updateItem', promised(updateItem, 4, named(['attributes', 'consumedCapacity'])), _super);
+  fwk.method(that, 'query', promised(query, 5, withCapacity), _super);
+  fwk.method(that, 'batchGetItem', promised(batchGetItem, 3, named(['responses', 'consumedCapacity'])), _super);
+  fwk.method(that, 'batchWriteItem', promised(batchWriteItem, 4, named(['unprocessedItems', 'consumedCapacity'])), _super);
+  fwk.method(that, 'bulkGet', promised(bulkGet, 3, named(['items', 'consumedCapacity'])), _super);
+  fwk.method(that, 'bulkWrite', promised(bulkWrite, 4, function(summary)
+  {
+    return summary;
+  }), _super);
+  fwk.method(that, 'transactWrite', promised(transactWrite, 3, withCapacity), _super);
+  fwk.method(that, 'transactGet', promised(transactGet, 3, named(['items', 'consumedCapacity'])), _super);
+  fwk.method(that, 'scan', promised(scan, 3, withCapacity), _super);
+
+  fwk.method(that, 'set', set, _super);
+  fwk.method(that, 'registerConverter', registerConverter, _super);
+  fwk.method(that, 'use', use, _super);
+  fwk.method(that, 'socketStats', my.transport.stats, _super);
+  fwk.method(that, 'destroy', my.transport.destroy, _super);
+
+  fwk.method(that, 'parallelScan', parallelScan, _super);
+  fwk.method(that, 'queryStream', queryStream, _super);
+  fwk.method(that, 'scanStream', scanStream, _super);
+  fwk.method(that, 'writeStream', writeStream, _super);
+  fwk.method(that, 'queryIterator', queryIterator, _super);
+  fwk.method(that, 'scanIterator', scanIterator, _super);
+  fwk.method(that, 'listTablesIterator', listTablesIterator, _super);
 
 
   // for testing purpose
@@ -1442,8 +3994,38 @@ var ddb = function(spec, my)
   fwk.getter(that, 'consumedCapacity', my, 'consumedCapacity');
   fwk.getter(that, 'schemaTypes', my, 'schemaTypes');
 
+  (spec.converters || []).forEach(function(converter)
+  {
+    if (typeof converter === 'string')
+      registerConverter(converter);
+    else
+      registerConverter(converter.name, converter);
+  });
+  Object.keys(my.hints).forEach(function(path)
+  {
+    if (!my.converters[my.hints[path]] && converters[my.hints[path]])
+      registerConverter(my.hints[path], false);
+  });
+  (spec.middleware || []).forEach(function(middleware)
+  {
+    use(middleware.phase, middleware.fn, middleware.priority);
+  });
+  if (spec.logger)
+  {
+    my.logger = logging.logger({ logger: spec.logger, level: spec.logLevel, redact: spec.redact });
+    that.on('retry', my.logger.retry);
+  }
+
   return that;
 };
 
 
 exports.ddb = ddb;
+exports.set = set;
+exports.credentials = credentials;
+exports.signer = Signer;
+exports.retry = retries;
+exports.converters = converters;
+exports.expressions = expressions;
+exports.errors = errors;
+exports.logger = logging;
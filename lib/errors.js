@@ -0,0 +1,218 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var util = require('util');
+var retries = require('./retry');
+
+/**
+ * Errors
+ *
+ * Every error reported by a client is a DynamoDBError, or one of its
+ * subclasses, so that callers can branch with instanceof (errors given by
+ * middlewares are reported as they are, and an invalid configuration of
+ * the client throws a plain Error):
+ *
+ *   ddb.putItem('a-table', item, { condition: ... }, function(err) {
+ *     if (err instanceof errors.ConditionalCheckFailedError) ...
+ *     else if (err && err.retryable) ...
+ *   });
+ *
+ * They carry:
+ * - code: the DynamoDB error code ('ConditionalCheckFailedException') or
+ *   the local one ('TimeoutError', 'ECONNRESET', 'CredentialsError',
+ *   'UnprocessedKeys', ...). Values that can't be converted are reported as
+ *   ValidationErrors with the code 'ValidationError'
+ * - type: the full DynamoDB __type, data: the body of the error response
+ * - operation, table: the request ('PutItem', 'a-table')
+ * - statusCode, requestId: the response, when one was received
+ * - attempts: the number of attempts made
+ * - retryable: whether the error is worth retrying (see retry.js)
+ * - cause: the underlying error, for network errors
+ */
+
+/**
+ * The base class
+ * @param message the message
+ * @param props the fields of the error {code, type, data, operation, ...}
+ */
+var DynamoDBError = function(message, props)
+{
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+  this.message = message;
+  props = props || {};
+  for (var key in props)
+  {
+    if (props.hasOwnProperty(key) && props[key] !== undefined)
+      this[key] = props[key];
+  }
+  if (typeof this.retryable !== 'boolean')
+    this.retryable = retries.classify(this) !== null;
+};
+util.inherits(DynamoDBError, Error);
+DynamoDBError.prototype.name = 'DynamoDBError';
+
+
+/**
+ * defines a subclass of DynamoDBError
+ * @param name the name of the class
+ * @param init function(props) completing the fields (optional)
+ * @return the constructor
+ */
+var define = function(name, init)
+{
+  var ctor = function(message, props)
+  {
+    DynamoDBError.call(this, message, props);
+    if (init)
+      init.call(this);
+  };
+  util.inherits(ctor, DynamoDBError);
+  ctor.prototype.name = name;
+  return ctor;
+};
+
+var ConditionalCheckFailedError = define('ConditionalCheckFailedError');
+var ThrottlingError = define('ThrottlingError');
+var ResourceNotFoundError = define('ResourceNotFoundError');
+var ValidationError = define('ValidationError');
+var NetworkError = define('NetworkError');
+var TimeoutError = define('TimeoutError');
+var AbortError = define('AbortError');
+var TransactionCanceledError = define('TransactionCanceledError', function()
+{
+  // the raw reasons, in the order of the actions of the transaction
+  this.reasons = (this.data && this.data.CancellationReasons) || [];
+});
+
+
+/**
+ * builds the error of a code, picking its class
+ * @param message the message
+ * @param props the fields of the error, props.code picking the class
+ * @return the error
+ */
+var create = function(message, props)
+{
+  var ctor = DynamoDBError;
+  switch (props.code)
+  {
+    case 'ConditionalCheckFailedException':
+      ctor = ConditionalCheckFailedError;
+      break;
+    case 'ResourceNotFoundException':
+      ctor = ResourceNotFoundError;
+      break;
+    case 'ValidationException':
+    case 'ValidationError':
+      ctor = ValidationError;
+      break;
+    case 'TransactionCanceledException':
+      ctor = TransactionCanceledError;
+      break;
+    case 'TimeoutError':
+      ctor = TimeoutError;
+      break;
+    case 'AbortError':
+      ctor = AbortError;
+      break;
+    default:
+      switch (retries.classify(props))
+      {
+        case 'throttling':
+          ctor = ThrottlingError;
+          break;
+        case 'network':
+          ctor = NetworkError;
+          break;
+      }
+  }
+  return new ctor(message, props);
+};
+
+
+/**
+ * builds the error of a DynamoDB error response
+ * @param op the operation ('PutItem')
+ * @param statusCode the status code of the response
+ * @param json the parsed body of the response
+ * @param props other fields {table, requestId}
+ * @return the error
+ */
+var fromResponse = function(op, statusCode, json, props)
+{
+  json = json || {};
+  var type = json['__type'] || '';
+  var code = type.substring(type.lastIndexOf('#') + 1) || ('HTTP' + statusCode);
+  var message = json.message || json.Message || type || 'no error message';
+  return create(op + ' [' + statusCode + ']: ' + message, {
+    code: code,
+    type: json['__type'],
+    statusCode: statusCode,
+    data: json,
+    operation: op,
+    table: props.table,
+    requestId: props.requestId
+  });
+};
+
+
+/**
+ * wraps an error raised by the HTTP layer (ECONNRESET, ...), or before the
+ * request was sent (credentials, marshalling)
+ * @param op the operation ('PutItem')
+ * @param err the error
+ * @param props other fields {table}
+ * @return the error, as is if already a DynamoDBError, completed with the
+ *         operation and table it lacks
+ */
+var wrap = function(op, err, props)
+{
+  if (err instanceof DynamoDBError)
+  {
+    if (err.operation === undefined)
+      err.operation = op;
+    if (err.table === undefined && props.table !== undefined)
+      err.table = props.table;
+    return err;
+  }
+  return create(op + ' [' + (err.code || 'error') + ']: ' + err.message, {
+    code: err.code,
+    statusCode: err.statusCode,
+    operation: op,
+    table: props.table,
+    cause: err
+  });
+};
+
+
+exports.DynamoDBError = DynamoDBError;
+exports.ConditionalCheckFailedError = ConditionalCheckFailedError;
+exports.ThrottlingError = ThrottlingError;
+exports.ResourceNotFoundError = ResourceNotFoundError;
+exports.ValidationError = ValidationError;
+exports.NetworkError = NetworkError;
+exports.TimeoutError = TimeoutError;
+exports.AbortError = AbortError;
+exports.TransactionCanceledError = TransactionCanceledError;
+exports.create = create;
+exports.fromResponse = fromResponse;
+exports.wrap = wrap;
@@ -0,0 +1,587 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+/**
+ * Expression builders
+ *
+ * Builds condition, update, filter, key condition and projection expressions
+ * with automatically allocated placeholders for attribute names and values:
+ *
+ *   var expr = require('dynamodb').expressions;
+ *   var options = expr.build({
+ *     update: expr.update().set('a.b', 1).add('count', 1).remove('tmp'),
+ *     condition: expr.attr('status').eq('on').and(expr.attr('age').gt(3))
+ *   });
+ *   // { updateExpression: 'SET #n0.#n1 = :v0 ADD #n2 :v1 REMOVE #n3',
+ *   //   conditionExpression: '#n4 = :v2 AND #n5 > :v3',
+ *   //   expressionAttributeNames: { '#n0': 'a', ... },
+ *   //   expressionAttributeValues: { ':v0': 1, ... } }
+ *
+ * Every node renders itself against a context allocating the placeholders,
+ * so that all the expressions of a request share the same placeholders.
+ */
+
+/**
+ * A placeholders allocation context
+ *
+ * @param spec {names, values} placeholders already in use
+ */
+var context = function(spec)
+{
+  var that = {};
+  var names = {};
+  var values = {};
+  var byName = {};
+  var n = 0;
+  var v = 0;
+
+  for (var i in spec.names)
+  {
+    if (spec.names.hasOwnProperty(i))
+      names[i] = spec.names[i];
+  }
+  for (var i in spec.values)
+  {
+    if (spec.values.hasOwnProperty(i))
+      values[i] = spec.values[i];
+  }
+
+  /**
+   * returns the placeholder of an attribute name, the same name always
+   * getting the same placeholder
+   * @param name the attribute name
+   * @return the placeholder
+   */
+  that.name = function(name)
+  {
+    if (byName.hasOwnProperty(name))
+      return byName[name];
+    while (names.hasOwnProperty('#n' + n))
+      n++;
+    var placeholder = '#n' + (n++);
+    names[placeholder] = name;
+    byName[name] = placeholder;
+    return placeholder;
+  };
+
+  /**
+   * allocates a placeholder for a (native) value
+   * @param value the value
+   * @return the placeholder
+   */
+  that.value = function(value)
+  {
+    while (values.hasOwnProperty(':v' + v))
+      v++;
+    var placeholder = ':v' + (v++);
+    values[placeholder] = value;
+    return placeholder;
+  };
+
+  that.names = function()
+  {
+    return names;
+  };
+
+  that.values = function()
+  {
+    return values;
+  };
+
+  return that;
+};
+
+
+/**
+ * splits a document path 'a.b[0].c' into its segments. An array of
+ * segments can be given to reference names containing dots or brackets
+ * @param path the document path
+ * @return the array of {name, index} segments
+ */
+var segments = function(path)
+{
+  var parts = Array.isArray(path) ? path : String(path).split('.');
+  return parts.map(function(part)
+  {
+    if (Array.isArray(path))
+      return { name: part, index: '' };
+    var m = /^(.*?)((\[\d+\])*)$/.exec(part);
+    if (!m[1])
+      throw new Error('Invalid document path: ' + path);
+    return { name: m[1], index: m[2] };
+  });
+};
+
+
+/**
+ * renders an operand: an attribute reference or function, or a value
+ * @param operand the operand
+ * @param ctx the placeholders context
+ * @return the rendered operand
+ */
+var operand = function(operand, ctx)
+{
+  if (operand && operand.isOperand)
+    return operand.render(ctx);
+  return ctx.value(operand);
+};
+
+
+/**
+ * A condition node, combined with and/or/not. Parentheses are only added
+ * where precedence requires them (comparisons, NOT, AND, OR) so that the
+ * rendered expressions are also valid key condition expressions
+ *
+ * @param render function(ctx) rendering the condition
+ * @param operator 'AND' or 'OR' for combined conditions (optional)
+ */
+var condition = function(render, operator)
+{
+  var that = {};
+
+  that.isExpression = true;
+  that.operator = operator;
+  that.render = render;
+
+  var combine = function(op)
+  {
+    return function(other)
+    {
+      var side = function(cond, ctx)
+      {
+        var res = cond.render(ctx);
+        return (cond.operator === 'OR' && op === 'AND') ? '(' + res + ')' : res;
+      };
+      return condition(function(ctx)
+      {
+        return side(that, ctx) + ' ' + op + ' ' + side(other, ctx);
+      }, op);
+    };
+  };
+
+  that.and = combine('AND');
+  that.or = combine('OR');
+
+  that.not = function()
+  {
+    return not(that);
+  };
+
+  return that;
+};
+
+
+/**
+ * An operand node (attribute reference, size() or arithmetic) exposing
+ * the comparison functions
+ *
+ * @param render function(ctx) rendering the operand
+ */
+var node = function(render)
+{
+  var that = {};
+
+  that.isOperand = true;
+  that.render = render;
+
+  var compare = function(op)
+  {
+    return function(value)
+    {
+      return condition(function(ctx)
+      {
+        return that.render(ctx) + ' ' + op + ' ' + operand(value, ctx);
+      });
+    };
+  };
+
+  that.eq = compare('=');
+  that.ne = compare('<>');
+  that.lt = compare('<');
+  that.le = compare('<=');
+  that.gt = compare('>');
+  that.ge = compare('>=');
+
+  that.between = function(low, high)
+  {
+    return condition(function(ctx)
+    {
+      return that.render(ctx) + ' BETWEEN ' + operand(low, ctx) + ' AND ' + operand(high, ctx);
+    });
+  };
+
+  that['in'] = function(values)
+  {
+    return condition(function(ctx)
+    {
+      return that.render(ctx) + ' IN (' + values.map(function(value)
+      {
+        return operand(value, ctx);
+      }).join(', ') + ')';
+    });
+  };
+
+  var fn = function(name)
+  {
+    return function(value)
+    {
+      return condition(function(ctx)
+      {
+        return name + '(' + that.render(ctx) + ', ' + operand(value, ctx) + ')';
+      });
+    };
+  };
+
+  that.beginsWith = fn('begins_with');
+  that.contains = fn('contains');
+  that.type = fn('attribute_type');
+
+  that.exists = function()
+  {
+    return condition(function(ctx)
+    {
+      return 'attribute_exists(' + that.render(ctx) + ')';
+    });
+  };
+
+  that.notExists = function()
+  {
+    return condition(function(ctx)
+    {
+      return 'attribute_not_exists(' + that.render(ctx) + ')';
+    });
+  };
+
+  that.size = function()
+  {
+    return node(function(ctx)
+    {
+      return 'size(' + that.render(ctx) + ')';
+    });
+  };
+
+  var arithmetic = function(op)
+  {
+    return function(value)
+    {
+      return node(function(ctx)
+      {
+        return that.render(ctx) + ' ' + op + ' ' + operand(value, ctx);
+      });
+    };
+  };
+
+  that.plus = arithmetic('+');
+  that.minus = arithmetic('-');
+
+  return that;
+};
+
+
+/**
+ * references an attribute by its document path
+ * @param path 'a.b[0].c' or ['a.b', 'c'] for names containing dots
+ * @return the operand node
+ */
+var attr = function(path)
+{
+  var parts = segments(path);
+  return node(function(ctx)
+  {
+    return parts.map(function(part)
+    {
+      return ctx.name(part.name) + part.index;
+    }).join('.');
+  });
+};
+
+
+/**
+ * negates a condition
+ * @param cond the condition
+ * @return the condition node
+ */
+var not = function(cond)
+{
+  return condition(function(ctx)
+  {
+    var res = cond.render(ctx);
+    return 'NOT ' + (cond.operator ? '(' + res + ')' : res);
+  });
+};
+
+
+/**
+ * combines conditions with AND
+ * @param conditions the conditions
+ * @return the condition node
+ */
+var and = function()
+{
+  var conditions = Array.prototype.slice.call(arguments);
+  return conditions.reduce(function(res, cond)
+  {
+    return res.and(cond);
+  });
+};
+
+
+/**
+ * combines conditions with OR
+ * @param conditions the conditions
+ * @return the condition node
+ */
+var or = function()
+{
+  var conditions = Array.prototype.slice.call(arguments);
+  return conditions.reduce(function(res, cond)
+  {
+    return res.or(cond);
+  });
+};
+
+
+/**
+ * An update expression builder
+ * update().set('a.b', 1).add('count', 1).remove('tmp')
+ */
+var update = function()
+{
+  var that = {};
+  var clauses = {
+    SET: [],
+    REMOVE: [],
+    ADD: [],
+    DELETE: []
+  };
+
+  that.isExpression = true;
+
+  /**
+   * sets an attribute to a value or to an operand (attr('b').plus(1))
+   */
+  that.set = function(path, value)
+  {
+    var target = attr(path);
+    clauses.SET.push(function(ctx)
+    {
+      return target.render(ctx) + ' = ' + operand(value, ctx);
+    });
+    return that;
+  };
+
+  /**
+   * sets an attribute to a value only if it does not exist yet
+   */
+  that.setIfNotExists = function(path, value)
+  {
+    var target = attr(path);
+    clauses.SET.push(function(ctx)
+    {
+      var name = target.render(ctx);
+      return name + ' = if_not_exists(' + name + ', ' + operand(value, ctx) + ')';
+    });
+    return that;
+  };
+
+  /**
+   * appends the elements of a list to a list attribute
+   */
+  that.append = function(path, list)
+  {
+    var target = attr(path);
+    clauses.SET.push(function(ctx)
+    {
+      var name = target.render(ctx);
+      return name + ' = list_append(' + name + ', ' + operand(list, ctx) + ')';
+    });
+    return that;
+  };
+
+  /**
+   * adds a number to a number attribute or elements to a set attribute
+   */
+  that.add = function(path, value)
+  {
+    var target = attr(path);
+    clauses.ADD.push(function(ctx)
+    {
+      return target.render(ctx) + ' ' + operand(value, ctx);
+    });
+    return that;
+  };
+
+  /**
+   * removes an attribute
+   */
+  that.remove = function(path)
+  {
+    var target = attr(path);
+    clauses.REMOVE.push(function(ctx)
+    {
+      return target.render(ctx);
+    });
+    return that;
+  };
+
+  /**
+   * removes elements from a set attribute
+   */
+  that['delete'] = function(path, value)
+  {
+    var target = attr(path);
+    clauses.DELETE.push(function(ctx)
+    {
+      return target.render(ctx) + ' ' + operand(value, ctx);
+    });
+    return that;
+  };
+
+  that.render = function(ctx)
+  {
+    var res = [];
+    for (var action in clauses)
+    {
+      if (clauses[action].length > 0)
+      {
+        res.push(action + ' ' + clauses[action].map(function(clause)
+        {
+          return clause(ctx);
+        }).join(', '));
+      }
+    }
+    return res.join(' ');
+  };
+
+  return that;
+};
+
+
+/**
+ * A projection expression
+ * @param paths the document paths to retrieve
+ * @return the projection node
+ */
+var projection = function()
+{
+  var paths = Array.prototype.slice.call(arguments);
+  if (paths.length === 1 && Array.isArray(paths[0]))
+    paths = paths[0];
+  var that = {};
+  that.isExpression = true;
+  that.render = function(ctx)
+  {
+    return paths.map(function(path)
+    {
+      return attr(path).render(ctx);
+    }).join(', ');
+  };
+  return that;
+};
+
+
+/**
+ * renders expressions into a request options object. Placeholders already
+ * present in the options are preserved and never reused.
+ * @param expressions {condition, update, filter, keyCondition, projection}
+ * @param options the options to complete (optional, not modified)
+ * @return the new options, with the matching *Expression fields and
+ *         expressionAttributeNames / expressionAttributeValues set
+ */
+var build = function(expressions, options)
+{
+  options = options || {};
+  var res = {};
+  for (var i in options)
+  {
+    if (options.hasOwnProperty(i))
+      res[i] = options[i];
+  }
+  var ctx = context(
+  {
+    names: options.expressionAttributeNames,
+    values: options.expressionAttributeValues
+  });
+  var fields = {
+    keyCondition: 'keyConditionExpression',
+    condition: 'conditionExpression',
+    filter: 'filterExpression',
+    update: 'updateExpression',
+    projection: 'projectionExpression'
+  };
+  for (var i in fields)
+  {
+    if (expressions[i])
+      res[fields[i]] = expressions[i].render(ctx);
+  }
+  if (Object.keys(ctx.names()).length > 0)
+    res.expressionAttributeNames = ctx.names();
+  if (Object.keys(ctx.values()).length > 0)
+    res.expressionAttributeValues = ctx.values();
+  return res;
+};
+
+
+/**
+ * renders the expression builders found in the *Expression fields of
+ * request options, leaving options without builders untouched
+ * @param options the request options
+ * @return the options with rendered expressions
+ */
+var resolve = function(options)
+{
+  if (!options)
+    return options;
+  var fields = {
+    keyConditionExpression: 'keyCondition',
+    conditionExpression: 'condition',
+    filterExpression: 'filter',
+    updateExpression: 'update',
+    projectionExpression: 'projection'
+  };
+  var expressions = null;
+  var rest = {};
+  for (var i in options)
+  {
+    if (!options.hasOwnProperty(i))
+      continue;
+    if (fields[i] && options[i] && options[i].isExpression)
+    {
+      expressions = expressions || {};
+      expressions[fields[i]] = options[i];
+    }
+    else
+    {
+      rest[i] = options[i];
+    }
+  }
+  return expressions ? build(expressions, rest) : options;
+};
+
+
+exports.attr = attr;
+exports.not = not;
+exports.and = and;
+exports.or = or;
+exports.update = update;
+exports.projection = projection;
+exports.build = build;
+exports.resolve = resolve;
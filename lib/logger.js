@@ -0,0 +1,345 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+/**
+ * Request logging
+ *
+ * Records the requests of a client on a pluggable logger, either an object
+ * with error, warn, info and debug methods called with (message, record)
+ * (console works), or a function(level, message, record):
+ *
+ *   var ddb = require('dynamodb').ddb({ logger: console, logLevel: 'debug',
+ *                                       redact: ['password'] });
+ *
+ * - error: failed requests, with their error
+ * - warn: retried attempts
+ * - info: completed requests: operation, table, request and response
+ *   sizes (bytes), latency (ms), attempts, consumed capacity, request id
+ * - debug: the wire payloads of every attempt
+ *
+ * Credentials and signatures are redacted from the headers, the values of
+ * the attributes named in spec.redact from the payloads, including the
+ * expression values (ExpressionAttributeValues) compared to or assigned to
+ * them.
+ */
+
+var LEVELS = ['error', 'warn', 'info', 'debug'];
+var REDACTED = '[REDACTED]';
+
+// headers carrying credentials or signatures
+var SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'x-amz-security-token'];
+
+
+/**
+ * copies headers, redacting credentials and signatures
+ * @param headers the headers
+ * @return the redacted headers
+ */
+var redactHeaders = function(headers)
+{
+  var res = {};
+  Object.keys(headers || {}).forEach(function(name)
+  {
+    res[name] = SENSITIVE_HEADERS.indexOf(name.toLowerCase()) === -1 ? headers[name] : REDACTED;
+  });
+  return res;
+};
+
+
+// expressions whose clauses compare or assign values to attributes
+var CONDITIONS = ['ConditionExpression', 'FilterExpression', 'KeyConditionExpression'];
+var UPDATES = ['UpdateExpression'];
+
+var TOKENS = /#[A-Za-z0-9_]+|:[A-Za-z0-9_]+|[A-Za-z_][A-Za-z0-9_]*|[(),]/g;
+
+
+/**
+ * splits an expression into its clauses, as lists of tokens: the conditions
+ * joined by AND, OR and NOT, or the actions of an update expression
+ * @param expression the expression
+ * @param update whether it is an update expression
+ * @return the clauses
+ */
+var clauses = function(expression, update)
+{
+  var res = [[]];
+  var depth = 0;
+  var between = false;
+  (String(expression).match(TOKENS) || []).forEach(function(token)
+  {
+    var keyword = token.toUpperCase();
+    if (token === '(')
+      depth++;
+    else if (token === ')')
+      depth--;
+    if (update)
+    {
+      if (depth === 0 && (token === ',' || ['SET', 'REMOVE', 'ADD', 'DELETE'].indexOf(keyword) !== -1))
+        return res.push([]);
+    }
+    else
+    {
+      // the AND of a BETWEEN belongs to its clause
+      if (keyword === 'BETWEEN')
+        between = true;
+      else if (keyword === 'AND' && between)
+        between = false;
+      else if (['AND', 'OR', 'NOT'].indexOf(keyword) !== -1)
+        return res.push([]);
+    }
+    res[res.length - 1].push(token);
+  });
+  return res;
+};
+
+
+/**
+ * the expression values of a request bound to sensitive attributes: the
+ * values of the clauses naming one of them, directly or through
+ * ExpressionAttributeNames
+ * @param request the request (or a part of it, such as a transaction item)
+ * @param names the sensitive attribute names
+ * @return the placeholders (':v0') to redact
+ */
+var sensitiveValues = function(request, names)
+{
+  var aliases = request.ExpressionAttributeNames || {};
+  var sensitive = function(token)
+  {
+    var name = token.charAt(0) === '#' ? aliases[token] : token;
+    return names.indexOf(name) !== -1;
+  };
+  var res = [];
+  CONDITIONS.concat(UPDATES).forEach(function(field)
+  {
+    if (typeof request[field] !== 'string')
+      return;
+    clauses(request[field], UPDATES.indexOf(field) !== -1).forEach(function(clause)
+    {
+      if (!clause.some(sensitive))
+        return;
+      clause.forEach(function(token)
+      {
+        if (token.charAt(0) === ':')
+          res.push(token);
+      });
+    });
+  });
+  return res;
+};
+
+
+/**
+ * copies a JSON payload, redacting the values of sensitive attributes
+ * wherever they are nested (items, keys, expression values, ...)
+ * @param value the payload
+ * @param names the sensitive attribute names
+ * @return the redacted payload
+ */
+var redactPayload = function(value, names)
+{
+  if (Array.isArray(value))
+  {
+    return value.map(function(v)
+    {
+      return redactPayload(v, names);
+    });
+  }
+  if (typeof value !== 'object' || value === null)
+    return value;
+  var res = {};
+  Object.keys(value).forEach(function(key)
+  {
+    res[key] = names.indexOf(key) === -1 ? redactPayload(value[key], names) : REDACTED;
+  });
+  if (names.length > 0 && res.ExpressionAttributeValues)
+  {
+    sensitiveValues(value, names).forEach(function(placeholder)
+    {
+      if (res.ExpressionAttributeValues.hasOwnProperty(placeholder))
+        res.ExpressionAttributeValues[placeholder] = REDACTED;
+    });
+  }
+  return res;
+};
+
+
+/**
+ * parses a wire payload for dumping
+ * @param body the body (string or Buffer)
+ * @param names the sensitive attribute names
+ * @return the redacted JSON payload, or the raw body if it is not JSON
+ */
+var payload = function(body, names)
+{
+  try
+  {
+    return redactPayload(JSON.parse(String(body)), names);
+  }
+  catch (err)
+  {
+    return String(body);
+  }
+};
+
+
+/**
+ * The logger of a client
+ *
+ * @param spec {logger, level, redact}
+ *        logger is the object or function records are given to
+ *        level is 'error', 'warn', 'info' (default) or 'debug'
+ *        redact is the list of sensitive attribute names
+ * @return {attempt, completed, failed, retry} called by the client with
+ *         the context of its requests (see execute in ddb.js) and its retry
+ *         events
+ * @throws an error if the level is unknown
+ */
+var logger = function(spec)
+{
+  var that = {};
+  var level = spec.level || 'info';
+  var names = spec.redact || [];
+
+  if (LEVELS.indexOf(level) === -1)
+    throw new Error('Invalid Log Level [' + LEVELS.join('|') + ']: ' + level);
+
+  var enabled = function(l)
+  {
+    return LEVELS.indexOf(l) <= LEVELS.indexOf(level);
+  };
+
+  var log = function(l, message, record)
+  {
+    if (!enabled(l))
+      return;
+    if (typeof spec.logger === 'function')
+      spec.logger(l, message, record);
+    else if (typeof spec.logger[l] === 'function')
+      spec.logger[l](message, record);
+  };
+
+  // the fields common to the records of a request
+  var summary = function(context)
+  {
+    var response = context.response || {};
+    var headers = response.headers || {};
+    return {
+      operation: context.operation,
+      table: context.table,
+      requestId: headers['x-amzn-requestid'],
+      statusCode: response.statusCode,
+      attempts: context.attempt,
+      requestSize: context.request ? Buffer.byteLength(context.request.body || '') : 0,
+      responseSize: response.body ? response.body.length : 0,
+      latency: Date.now() - context.timings.start
+    };
+  };
+
+  /**
+   * the wire payloads of an attempt (debug)
+   * @param context the context of the request, with its response
+   */
+  that.attempt = function(context)
+  {
+    if (enabled('debug'))
+    {
+      var record = summary(context);
+      record.request = {
+        method: context.request.method,
+        uri: context.request.uri,
+        headers: redactHeaders(context.request.headers),
+        body: payload(context.request.body, names)
+      };
+      record.response = {
+        statusCode: context.response.statusCode,
+        headers: redactHeaders(context.response.headers),
+        body: payload(context.response.body, names)
+      };
+      record.latency = context.timings.received - context.timings.sent;
+      log('debug', context.operation + ' attempt ' + context.attempt, record);
+    }
+  };
+
+  /**
+   * completed requests (info)
+   * @param context the context of the request
+   * @param result the result of the request, as returned by the middlewares
+   */
+  that.completed = function(context, result)
+  {
+    var record = summary(context);
+    var capacity = result && result.ConsumedCapacity;
+    if (capacity)
+    {
+      record.consumedCapacity = [].concat(capacity).reduce(function(sum, c)
+      {
+        return sum + (c.CapacityUnits || 0);
+      }, 0);
+    }
+    log('info', context.operation + (context.table ? ' ' + context.table : ''), record);
+  };
+
+  /**
+   * failed requests (error)
+   * @param context the context of the request
+   * @param err the error of the request, as returned by the middlewares
+   */
+  that.failed = function(context, err)
+  {
+    var record = summary(context);
+    record.requestId = err.requestId || record.requestId;
+    record.statusCode = err.statusCode || record.statusCode;
+    record.attempts = err.attempts || record.attempts;
+    record.error = {
+      name: err.name,
+      code: err.code,
+      message: err.message,
+      retryable: err.retryable
+    };
+    log('error', context.operation + (context.table ? ' ' + context.table : '') + ' failed', record);
+  };
+
+  /**
+   * retry events of the client (warn)
+   */
+  that.retry = function(event)
+  {
+    log('warn', event.operation + ' retry ' + event.attempt, {
+      operation: event.operation,
+      table: event.table,
+      attempt: event.attempt,
+      delay: event.delay,
+      reason: event.reason,
+      error: {
+        code: event.error.code,
+        message: event.error.message
+      }
+    });
+  };
+
+  return that;
+};
+
+
+exports.logger = logger;
+exports.redactHeaders = redactHeaders;
+exports.redactPayload = redactPayload;
@@ -0,0 +1,231 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+/**
+ * Retry policies
+ *
+ * A policy decides, after each failed attempt of a request, whether and when
+ * it is attempted again. Any object with the same decide/succeeded methods
+ * can be given to a client as spec.retry:
+ *
+ *   var retry = require('dynamodb').retry;
+ *   var ddb = require('dynamodb').ddb({
+ *     retry: retry.policy({ maxAttempts: 5, jitter: 'decorrelated',
+ *                           decisions: { ValidationException: false } })
+ *   });
+ *
+ * Each request carries a state {attempts, delay, cost} handed to the policy:
+ * attempts made so far, last delay and retry tokens held.
+ */
+
+var THROTTLING = [
+  'ProvisionedThroughputExceededException',
+  'ThrottlingException',
+  'Throttling',
+  'RequestLimitExceeded',
+  'RequestThrottled',
+  'RequestThrottledException',
+  'TooManyRequestsException'
+];
+
+var TRANSIENT = [
+  'TransactionConflictException',
+  'TransactionInProgressException',
+  'InternalServerError',
+  'InternalFailure',
+  'ServiceUnavailable',
+  'TimeoutError',
+  'JSONParseError',
+  'CRC32CheckFailed'
+];
+
+var NETWORK = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EPIPE',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'EHOSTUNREACH',
+  'ENETUNREACH'
+];
+
+
+/**
+ * classifies an error
+ * @param err the error of an attempt
+ * @return 'throttling', 'transient', 'network' or null if not retryable
+ */
+var classify = function(err)
+{
+  if (THROTTLING.indexOf(err.code) !== -1)
+    return 'throttling';
+  if (TRANSIENT.indexOf(err.code) !== -1 || err.statusCode >= 500)
+    return 'transient';
+  if (NETWORK.indexOf(err.code) !== -1)
+    return 'network';
+  return null;
+};
+
+
+/**
+ * A token bucket limiting retries: each retry takes tokens, each success
+ * gives some back, so that a failing endpoint is not hammered by every
+ * request retrying at once. Share one bucket between policies to share the
+ * budget
+ *
+ * @param spec {capacity, retryCost, timeoutCost, refill} (optional)
+ *        defaults: 500 tokens, 5 per retry, 10 per retry after a timeout,
+ *        1 given back per success
+ */
+var bucket = function(spec)
+{
+  spec = spec || {};
+  var that = {};
+  var capacity = spec.capacity || 500;
+  var retryCost = spec.retryCost || 5;
+  var timeoutCost = spec.timeoutCost || 10;
+  var refill = spec.refill || 1;
+  var tokens = capacity;
+
+  /**
+   * takes the tokens of a retry
+   * @param err the error of the failed attempt
+   * @return the number of tokens taken, 0 if the budget is exhausted
+   */
+  that.acquire = function(err)
+  {
+    var cost = (err && err.code === 'TimeoutError') ? timeoutCost : retryCost;
+    if (tokens < cost)
+      return 0;
+    tokens -= cost;
+    return cost;
+  };
+
+  /**
+   * gives tokens back after a success
+   * @param cost the tokens taken by the retries of the request (0 if none)
+   */
+  that.release = function(cost)
+  {
+    tokens = Math.min(capacity, tokens + (cost || refill));
+  };
+
+  that.available = function()
+  {
+    return tokens;
+  };
+
+  return that;
+};
+
+
+/**
+ * The default policy: retries throttling, transient and network errors
+ * with exponential backoff and jitter
+ *
+ * @param spec {maxAttempts, baseDelay, maxDelay, jitter, decisions, budget}
+ *        (optional)
+ *        maxAttempts counts the first attempt (defaults to 4)
+ *        baseDelay, maxDelay bound the delays in ms (defaults to 50, 20000)
+ *        jitter is 'full' (default), 'decorrelated' or 'none'
+ *        decisions maps error codes to true, false or function(err, state)
+ *        returning whether to retry, overriding the classification
+ *        budget is a bucket() (a new one by default, false for none)
+ */
+var policy = function(spec)
+{
+  spec = spec || {};
+  var that = {};
+  var maxAttempts = spec.maxAttempts || 4;
+  var baseDelay = spec.baseDelay || 50;
+  var maxDelay = spec.maxDelay || 20000;
+  var jitter = spec.jitter || 'full';
+  var decisions = spec.decisions || {};
+  var budget = spec.budget === false ? null : (spec.budget || bucket());
+
+  if (['full', 'decorrelated', 'none'].indexOf(jitter) === -1)
+    throw new Error('Invalid Jitter [full|decorrelated|none]: ' + jitter);
+
+  that.classify = classify;
+
+  /**
+   * computes the delay before the next attempt
+   * @param state the request state
+   * @return the delay in ms
+   */
+  that.delay = function(state)
+  {
+    var ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, state.attempts - 1));
+    if (jitter === 'none')
+      return ceiling;
+    if (jitter === 'full')
+      return Math.floor(Math.random() * ceiling);
+    // decorrelated: between the base and three times the previous delay
+    var previous = state.delay || baseDelay;
+    return Math.floor(Math.min(maxDelay, baseDelay + Math.random() * (previous * 3 - baseDelay)));
+  };
+
+  /**
+   * decides whether a failed attempt is retried
+   * @param err the error of the attempt
+   * @param state the request state {attempts, delay, cost}, updated
+   * @return {retry, delay, reason} reason is the error class, or why the
+   *         request is not retried: 'code', 'attempts' or 'budget'
+   */
+  that.decide = function(err, state)
+  {
+    var reason = that.classify(err);
+    var decision = decisions.hasOwnProperty(err.code) ? decisions[err.code] : !!reason;
+    if (typeof decision === 'function')
+      decision = decision(err, state);
+    if (!decision)
+      return { retry: false, reason: 'code' };
+    if (state.attempts >= maxAttempts)
+      return { retry: false, reason: 'attempts' };
+    if (budget)
+    {
+      var cost = budget.acquire(err);
+      if (!cost)
+        return { retry: false, reason: 'budget' };
+      state.cost = (state.cost || 0) + cost;
+    }
+    state.delay = that.delay(state);
+    return { retry: true, delay: state.delay, reason: reason || 'code' };
+  };
+
+  /**
+   * records the success of a request
+   * @param state the request state
+   */
+  that.succeeded = function(state)
+  {
+    if (budget)
+      budget.release(state.cost);
+  };
+
+  return that;
+};
+
+
+exports.classify = classify;
+exports.policy = policy;
+exports.bucket = bucket;
@@ -0,0 +1,217 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var querystring = require('querystring');
+var Signer = require('./aws-signer');
+
+/**
+ * A minimal AWS STS client: AssumeRole and AssumeRoleWithWebIdentity over
+ * the query API (form encoded POST, XML response)
+ *
+ *   require('./sts').assumeRole({ roleArn: 'arn:aws:iam::123456789012:role/r' },
+ *                               { credentials: { accessKeyId: '', secretAccessKey: '' } },
+ *                               function(err, credentials) {});
+ */
+
+var VERSION = '2011-06-15';
+
+
+/**
+ * the STS endpoint of a region: the global endpoint for us-east-1, the
+ * regional ones otherwise
+ * @param region the region
+ * @return the endpoint URL
+ */
+var endpointFor = function(region)
+{
+  if (region === 'us-east-1')
+    return 'https://sts.amazonaws.com';
+  return 'https://sts.' + region + '.amazonaws.com';
+};
+
+
+/**
+ * extracts the text of the first element with a given name
+ * @param xml the XML document
+ * @param name the element name
+ * @return the unescaped text or undefined
+ */
+var element = function(xml, name)
+{
+  var match = new RegExp('<' + name + '>([\\s\\S]*?)</' + name + '>').exec(xml);
+  if (!match)
+    return undefined;
+  return match[1].trim()
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+};
+
+
+/**
+ * performs an STS action
+ * @param action the action name (AssumeRole, AssumeRoleWithWebIdentity)
+ * @param params the action parameters, in their STS names
+ * @param options {credentials, region, endpoint, timeout} credentials are
+ *        required for signed actions only
+ * @param cb callback(err, credentials) credentials are {accessKeyId,
+ *        secretAccessKey, sessionToken, expiration}
+ */
+var execute = function(action, params, options, cb)
+{
+  var region = options.region || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
+  var target = url.parse(options.endpoint || endpointFor(region));
+  var date = new Date();
+
+  var form = { Action: action, Version: VERSION };
+  for (var i in params)
+  {
+    if (params.hasOwnProperty(i) && params[i] !== undefined)
+      form[i] = params[i];
+  }
+
+  var headers = {
+    "host": target.host,
+    "x-amz-date": Signer._requestDate(date),
+    "content-type": "application/x-www-form-urlencoded; charset=utf-8"
+  };
+  var request = {
+    method: "POST",
+    uri: "/",
+    query: "",
+    headers: headers,
+    body: querystring.stringify(form)
+  };
+  if (options.credentials)
+  {
+    if (options.credentials.sessionToken)
+      headers["x-amz-security-token"] = options.credentials.sessionToken;
+    headers.authorization = Signer.authorization(options.credentials, request, date, region, 'sts');
+  }
+  headers["content-length"] = Buffer.byteLength(request.body);
+
+  var done = false;
+  var finish = function(err, res)
+  {
+    if (done)
+      return;
+    done = true;
+    cb(err, res);
+  };
+
+  var req = (target.protocol === 'http:' ? http : https).request({
+    method: request.method,
+    host: target.hostname,
+    port: target.port,
+    path: request.uri,
+    headers: headers
+  }, function(res)
+  {
+    var body = '';
+    res.setEncoding('utf8');
+    res.on('data', function(chunk)
+    {
+      body += chunk;
+    });
+    res.on('end', function()
+    {
+      if (res.statusCode >= 300)
+      {
+        var err = new Error(action + ' [' + res.statusCode + ']: ' +
+          (element(body, 'Message') || element(body, 'Code') || body));
+        err.code = element(body, 'Code');
+        err.statusCode = res.statusCode;
+        err.requestId = element(body, 'RequestId');
+        return finish(err);
+      }
+      var credentials = {
+        accessKeyId: element(body, 'AccessKeyId'),
+        secretAccessKey: element(body, 'SecretAccessKey'),
+        sessionToken: element(body, 'SessionToken'),
+        expiration: new Date(element(body, 'Expiration'))
+      };
+      if (!credentials.accessKeyId || !credentials.secretAccessKey || isNaN(credentials.expiration))
+        return finish(new Error(action + ' [' + res.statusCode + ']: invalid response'));
+      finish(null, credentials);
+    });
+  });
+
+  req.setTimeout(options.timeout || 10000, function()
+  {
+    var err = new Error(action + ' [timeout]');
+    err.code = 'ETIMEDOUT';
+    req.destroy(err);
+  });
+  req.on('error', finish);
+  req.write(request.body);
+  req.end();
+};
+
+
+/**
+ * assumes a role with the given credentials
+ * @param params {roleArn, roleSessionName, externalId, durationSeconds,
+ *               serialNumber, tokenCode, policy}
+ * @param options {credentials, region, endpoint, timeout}
+ * @param cb callback(err, credentials)
+ */
+var assumeRole = function(params, options, cb)
+{
+  execute('AssumeRole', {
+    RoleArn: params.roleArn,
+    RoleSessionName: params.roleSessionName,
+    ExternalId: params.externalId,
+    DurationSeconds: params.durationSeconds,
+    SerialNumber: params.serialNumber,
+    TokenCode: params.tokenCode,
+    Policy: params.policy
+  }, options, cb);
+};
+
+
+/**
+ * assumes a role with a web identity (OIDC) token. The request is not
+ * signed, no credentials are needed
+ * @param params {roleArn, roleSessionName, webIdentityToken, durationSeconds,
+ *               providerId, policy}
+ * @param options {region, endpoint, timeout}
+ * @param cb callback(err, credentials)
+ */
+var assumeRoleWithWebIdentity = function(params, options, cb)
+{
+  execute('AssumeRoleWithWebIdentity', {
+    RoleArn: params.roleArn,
+    RoleSessionName: params.roleSessionName,
+    WebIdentityToken: params.webIdentityToken,
+    DurationSeconds: params.durationSeconds,
+    ProviderId: params.providerId,
+    Policy: params.policy
+  }, { region: options.region, endpoint: options.endpoint, timeout: options.timeout }, cb);
+};
+
+
+exports.assumeRole = assumeRole;
+exports.assumeRoleWithWebIdentity = assumeRoleWithWebIdentity;
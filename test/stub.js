@@ -0,0 +1,162 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var events = require('events');
+var stream = require('stream');
+var http = require('http');
+
+var lib = require('../lib/ddb');
+
+/**
+ * Test helpers
+ *
+ * client() builds a client answering its requests locally, so that unit
+ * tests run without endpoint. server() builds a local http server for the
+ * tests of the transport. run() runs asynchronous tests one after the
+ * other:
+ *
+ *   var client = stub.client(function(op, data) {
+ *     return { Item: { id: { S: 'a' } } };
+ *   });
+ *   var tests = [];
+ *   tests.push(function(done) {
+ *     client.ddb.getItem(...);
+ *     client.requests  // [{ op, data }]
+ *   });
+ *   stub.run('getItem', tests, { before: function() { client.requests = []; } });
+ */
+
+/**
+ * builds a client answering its requests locally, through spec.request
+ * @param handler function(op, data) returning the response body. A body
+ *        with a __type is an error (status 400, or body.statusCode)
+ * @param spec more options of the client (optional)
+ * @return {ddb, requests} requests are {op, data, options} in order
+ */
+var client = function(handler, spec)
+{
+  var that = {
+    requests: []
+  };
+
+  var request = function(options, cb)
+  {
+    var req = new events.EventEmitter();
+    var body = '';
+    req.setTimeout = function() {};
+    req.destroy = function() {};
+    req.write = function(chunk)
+    {
+      body += chunk;
+    };
+    req.end = function()
+    {
+      var op = options.headers['x-amz-target'].split('.')[1];
+      var data = JSON.parse(body);
+      that.requests.push({ op: op, data: data, options: options });
+      setImmediate(function()
+      {
+        var json = handler(op, data) || {};
+        var res = new stream.PassThrough();
+        res.statusCode = json.__type ? (json.statusCode || 400) : 200;
+        res.headers = {};
+        cb(res);
+        res.end(JSON.stringify(json));
+      });
+    };
+    return req;
+  };
+
+  spec = spec || {};
+  spec.credentials = spec.credentials || { accessKeyId: 'a', secretAccessKey: 's' };
+  spec.request = request;
+  that.ddb = lib.ddb(spec);
+  return that;
+};
+
+
+/**
+ * builds a local http server whose open connections are tracked, so that
+ * they can be destroyed between tests and the server closed without
+ * waiting for idle keep-alive sockets
+ * @param handler function(req, res)
+ * @return the server, with reset() destroying the open connections and
+ *         shutdown(cb) destroying them and closing the server
+ */
+var server = function(handler)
+{
+  var that = http.createServer(handler);
+  var sockets = [];
+  that.on('connection', function(socket)
+  {
+    sockets.push(socket);
+    socket.on('close', function()
+    {
+      sockets.splice(sockets.indexOf(socket), 1);
+    });
+  });
+  that.reset = function()
+  {
+    sockets.slice().forEach(function(socket)
+    {
+      socket.destroy();
+    });
+  };
+  that.shutdown = function(cb)
+  {
+    that.close(cb);
+    that.reset();
+  };
+  return that;
+};
+
+
+/**
+ * runs tests one after the other, then reports the suite
+ * @param name the name of the suite
+ * @param tests array of function(done)
+ * @param hooks {before, after} (optional) before() is called before each
+ *        test, after() once all the tests passed
+ */
+var run = function(name, tests, hooks)
+{
+  hooks = hooks || {};
+  (function next(i)
+  {
+    if (i >= tests.length)
+    {
+      if (hooks.after)
+        hooks.after();
+      return console.log((name + '                  ').substring(0, 18) + ': ok');
+    }
+    if (hooks.before)
+      hooks.before();
+    tests[i](function()
+    {
+      next(i + 1);
+    });
+  })(0);
+};
+
+
+exports.client = client;
+exports.server = server;
+exports.run = run;
@@ -0,0 +1,166 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var stub = require('./stub');
+var errors = require('../lib/errors');
+
+// items exist for even ids; the first call of each test leaves its last
+// key unprocessed when unprocessed is set
+var calls = 0;
+var unprocessed = false;
+var client = stub.client(function(op, data)
+{
+  calls++;
+  var res = { Responses: {}, UnprocessedKeys: {}, ConsumedCapacity: [] };
+  for (var table in data.RequestItems)
+  {
+    var keys = data.RequestItems[table].Keys;
+    if (unprocessed && calls === 1)
+    {
+      res.UnprocessedKeys[table] = JSON.parse(JSON.stringify(data.RequestItems[table]));
+      res.UnprocessedKeys[table].Keys = keys.slice(-1);
+      keys = keys.slice(0, -1);
+    }
+    res.Responses[table] = keys.filter(function(key)
+    {
+      return Number(key.id.N) % 2 === 0;
+    }).reverse().map(function(key)
+    {
+      return { id: key.id, v: { S: table } };
+    });
+    res.ConsumedCapacity.push({ TableName: table, CapacityUnits: keys.length });
+  }
+  return res;
+});
+var ddb = client.ddb;
+
+var keys = function(from, to)
+{
+  var res = [];
+  for (var i = from; i < to; i++)
+    res.push({ id: i });
+  return res;
+};
+
+var tests = [];
+
+tests.push(function(done)
+{
+  // chunks of 100 keys, duplicates requested once
+  ddb.bulkGet({ t: { keys: keys(0, 150).concat([{ id: 0 }]), consistentRead: true } }, function(err, res, cap)
+  {
+    assert.equal(null, err);
+    assert.deepEqual(['BatchGetItem', 'BatchGetItem'], client.requests.map(function(r) { return r.op; }));
+    assert.equal(100, client.requests[0].data.RequestItems.t.Keys.length);
+    assert.equal(50, client.requests[1].data.RequestItems.t.Keys.length);
+    assert.equal(true, client.requests[1].data.RequestItems.t.ConsistentRead);
+    assert.equal(75, res.t.length);
+    assert.equal(150, cap);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // ordered items, null when missing, with unprocessed keys resubmitted
+  unprocessed = true;
+  ddb.bulkGet({ t: { keys: [{ id: 4 }, { id: 1 }, { id: 2 }, { id: 4 }] },
+                u: [{ keys: [{ id: 6 }], projectionExpression: 'id, v' }] },
+              { ordered: true, baseDelay: 1 }, function(err, res)
+  {
+    assert.equal(null, err);
+    assert.equal(2, client.requests.length);
+    assert.deepEqual({ t: { Keys: [{ id: { N: '2' } }] },
+                       u: { Keys: [{ id: { N: '6' } }], ProjectionExpression: 'id, v' } },
+                     client.requests[1].data.RequestItems);
+    assert.deepEqual({ t: [{ id: 4, v: 't' }, null, { id: 2, v: 't' }, { id: 4, v: 't' }],
+                       u: [{ id: 6, v: 'u' }] }, res);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // keys still unprocessed after maxRetries
+  unprocessed = true;
+  ddb.bulkGet({ t: { keys: keys(0, 3) } }, { maxRetries: 0 }, function(err, res)
+  {
+    assert.ok(err instanceof errors.DynamoDBError);
+    assert.equal('UnprocessedKeys', err.code);
+    assert.equal('BatchGetItem', err.operation);
+    assert.equal('t', err.table);
+    assert.equal(false, err.retryable);
+    assert.deepEqual({ t: [{ id: 2 }] }, err.unprocessedKeys);
+    assert.deepEqual({ t: [{ id: 0, v: 't' }] }, err.items);
+    assert.deepEqual(err.items, res);
+    assert.equal(1, client.requests.length);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // batchGetItem merges the parts of a table
+  ddb.batchGetItem({ t: [{ keys: [{ id: 2 }], attributesToGet: ['id'] },
+                         { keys: [{ id: 4 }], attributesToGet: ['id'] }] }, function(err, res)
+  {
+    assert.equal(null, err);
+    assert.deepEqual({ t: { Keys: [{ id: { N: '2' } }, { id: { N: '4' } }], AttributesToGet: ['id'] } },
+                     client.requests[0].data.RequestItems);
+    assert.equal(2, res.items.length);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // parts of a table asking for different attributes are rejected
+  ddb.batchGetItem({ t: [{ keys: [{ id: 2 }], attributesToGet: ['id'] },
+                         { keys: [{ id: 4 }], projectionExpression: 'v' }] }, function(err)
+  {
+    assert.ok(err instanceof errors.ValidationError);
+    assert.ok(/Non Compatible Request/.test(err.message));
+    assert.equal(0, client.requests.length);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // promise form
+  ddb.bulkGet({ t: { keys: [{ id: 8 }] } }).then(function(res)
+  {
+    assert.deepEqual({ t: [{ id: 8, v: 't' }] }, res.items);
+    assert.equal(1, res.consumedCapacity);
+    done();
+  });
+});
+
+stub.run('bulkGet', tests, {
+  before: function()
+  {
+    client.requests = [];
+    calls = 0;
+    unprocessed = false;
+  }
+});
@@ -0,0 +1,144 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var stub = require('./stub');
+var errors = require('../lib/errors');
+
+// the first call leaves its last item unprocessed, or gives back the
+// unprocessed items set in the test
+var calls = 0;
+var unprocessed = null;
+var client = stub.client(function(op, data)
+{
+  if (op === 'DescribeTable')
+    return { Table: { TableName: data.TableName, KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] } };
+  calls++;
+  var res = { UnprocessedItems: {}, ConsumedCapacity: [] };
+  for (var table in data.RequestItems)
+  {
+    var requests = data.RequestItems[table];
+    res.ConsumedCapacity.push({ TableName: table, CapacityUnits: requests.length });
+    if (unprocessed)
+      res.UnprocessedItems[table] = unprocessed;
+    else if (calls === 1)
+      res.UnprocessedItems[table] = requests.slice(-1);
+  }
+  return res;
+});
+var ddb = client.ddb;
+
+var items = [];
+for (var i = 0; i < 30; i++)
+  items.push({ id: i, v: 'x' });
+
+var tests = [];
+
+tests.push(function(done)
+{
+  // chunks of 25, unprocessed items resubmitted
+  ddb.bulkWrite({ t: items }, {}, { baseDelay: 1 }, function(err, summary)
+  {
+    assert.equal(null, err);
+    assert.deepEqual(['DescribeTable', 'BatchWriteItem', 'BatchWriteItem', 'BatchWriteItem'],
+                     client.requests.map(function(r) { return r.op; }));
+    assert.equal(25, client.requests[1].data.RequestItems.t.length);
+    assert.deepEqual([{ PutRequest: { Item: { id: { N: '24' }, v: { S: 'x' } } } }],
+                     client.requests[2].data.RequestItems.t);
+    assert.equal(5, client.requests[3].data.RequestItems.t.length);
+    assert.equal(30, summary.written);
+    assert.equal(0, summary.failed);
+    assert.equal(31, summary.consumedCapacity);
+    assert.equal(30, summary.tables.t.written);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // the last request for a key wins, in the order of the list
+  ddb.bulkWrite([{ put: { table: 't', item: { id: 1, v: 'a' } } },
+                 { 'delete': { table: 't', keys: { id: 1 } } },
+                 { put: { table: 't', item: { id: 1, v: 'b' } } },
+                 { put: { table: 't', item: { id: 2, v: 'a' } } },
+                 { 'delete': { table: 't', keys: { id: 2 } } }], { keys: { t: ['id'] } }, function(err, summary)
+  {
+    assert.equal(null, err);
+    assert.deepEqual([{ PutRequest: { Item: { id: { N: '1' }, v: { S: 'b' } } } },
+                      { DeleteRequest: { Key: { id: { N: '2' } } } }],
+                     client.requests[0].data.RequestItems.t);
+    assert.equal(2, summary.written);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // puts, then deletes with the dictionaries
+  ddb.bulkWrite({ t: [{ id: 1 }] }, { t: [{ id: 1 }] }, { keys: { t: ['id'] } }, function(err, summary)
+  {
+    assert.equal(null, err);
+    assert.deepEqual([{ DeleteRequest: { Key: { id: { N: '1' } } } }], client.requests[0].data.RequestItems.t);
+    assert.equal(1, summary.written);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // items still unprocessed after maxRetries are reported
+  calls = 0;
+  ddb.bulkWrite([{ put: { table: 't', item: { id: 1 } } }], { keys: { t: ['id'] }, maxRetries: 0 }, function(err, summary)
+  {
+    assert.equal(null, err);
+    assert.equal(0, summary.written);
+    assert.equal(1, summary.failed);
+    assert.deepEqual([{ table: 't', put: { id: 1 } }], summary.failedItems);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // unprocessed items which can not be converted back are reported as sent
+  var item = { id: { N: '1' }, x: { Z: 'z' } };
+  unprocessed = [{ PutRequest: { Item: item } }];
+  ddb.bulkWrite([{ put: { table: 't', item: { id: 1 } } }], { keys: { t: ['id'] }, maxRetries: 0 }, function(err, summary)
+  {
+    assert.equal(null, err);
+    assert.equal(1, summary.failed);
+    assert.deepEqual(item, summary.failedItems[0].put);
+    assert.ok(summary.failedItems[0].error instanceof errors.ValidationError);
+    assert.equal('BatchWriteItem', summary.failedItems[0].error.operation);
+    assert.ok(/Non Compatible Field/.test(summary.failedItems[0].error.message));
+    done();
+  });
+});
+
+stub.run('bulkWrite', tests, {
+  before: function()
+  {
+    client.requests = [];
+    calls = 0;
+    unprocessed = null;
+  }
+});
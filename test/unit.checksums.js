@@ -0,0 +1,127 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var lib = require('../lib/ddb');
+var stub = require('./stub');
+var credentials = {accessKeyId: "a", secretAccessKey: "s"};
+
+var body = '{"TableNames":["123456789"]}';
+var crc = '3638774154';
+
+// the first responses are corrupted
+var corrupted = 0;
+var hits = 0;
+var server = stub.server(function(req, res)
+{
+  hits++;
+  req.resume();
+  req.on('end', function()
+  {
+    var sent = hits <= corrupted ? body.replace('5', '6') : body;
+    res.writeHead(200, { 'content-type': 'application/x-amz-json-1.0', 'x-amz-crc32': crc });
+    res.end(sent);
+  });
+});
+var ddb = null;
+
+var tests = [];
+
+tests.push(function(done)
+{
+  // valid checksums are accepted
+  ddb.listTables({}, function(err, res)
+  {
+    assert.equal(null, err);
+    assert.deepEqual(['123456789'], res.TableNames);
+    assert.equal(1, hits);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // mismatches are retried
+  corrupted = 1;
+  var retried = [];
+  ddb.on('retry', function(event)
+  {
+    retried.push(event.error.code);
+  });
+  ddb.listTables({}, function(err, res)
+  {
+    assert.equal(null, err);
+    assert.deepEqual(['123456789'], res.TableNames);
+    assert.equal(2, hits);
+    assert.deepEqual(['CRC32CheckFailed'], retried);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // then reported
+  corrupted = 10;
+  ddb.listTables({}, function(err)
+  {
+    assert.equal('CRC32CheckFailed', err.code);
+    assert.equal(200, err.statusCode);
+    assert.equal(3, err.attempts);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // unless checking is disabled
+  corrupted = 10;
+  var client = lib.ddb({ credentials: credentials, endpoint: 'http://127.0.0.1:' + server.address().port,
+                         checksums: false });
+  client.listTables({}, function(err, res)
+  {
+    assert.equal(null, err);
+    assert.deepEqual(['123466789'], res.TableNames);
+    client.destroy();
+    done();
+  });
+});
+
+server.listen(0, '127.0.0.1', function()
+{
+  stub.run('checksums', tests, {
+    before: function()
+    {
+      hits = 0;
+      corrupted = 0;
+      server.reset();
+      if (ddb)
+        ddb.destroy();
+      ddb = lib.ddb({ credentials: credentials, endpoint: 'http://127.0.0.1:' + server.address().port,
+                      retry: lib.retry.policy({ maxAttempts: 3, baseDelay: 1, jitter: 'none' }) });
+    },
+    after: function()
+    {
+      ddb.destroy();
+      server.shutdown();
+    }
+  });
+});
@@ -0,0 +1,113 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var lib = require('../lib/ddb');
+var stub = require('./stub');
+var credentials = {accessKeyId: "", secretAccessKey: ""};
+
+var date = new Date('2024-05-01T10:00:00.000Z');
+
+// not enabled: undefined is rejected as before
+var plain = lib.ddb({credentials: credentials});
+assert.throws(function() { plain.objToDDB({u : undefined}); });
+
+// built-ins enabled by name
+var ddb = lib.ddb({credentials: credentials,
+                   converters: ['dateISO', 'esSet', 'esMap', 'omitUndefined']});
+assert.deepEqual({d : { S : "2024-05-01T10:00:00.000Z"},
+                  s : { SS : ["a", "b"]},
+                  m : { M : { k : { N : "1"}}},
+                  l : { L : [{ S : "2024-05-01T10:00:00.000Z"}]}},
+                 ddb.objToDDB({d : date, s : new Set(["a", "b"]), m : new Map([["k", 1]]),
+                               l : [date], u : undefined}));
+assert.throws(function() { ddb.objToDDB({m : new Map([[1, 1]])}); }, /keys must be strings/);
+
+var item = ddb.objFromDDB({s : { NS : ["1", "2"]}, n : { L : [{ SS : ["x"]}]}});
+assert.ok(item.s instanceof Set);
+assert.deepEqual([1, 2], Array.from(item.s));
+assert.ok(item.n[0] instanceof Set);
+
+// attribute hints
+ddb = lib.ddb({credentials: credentials,
+               converters: ['dateISO'],
+               hints: {'at' : 'dateEpoch', 'meta.created' : 'dateISO', 'events[].at' : 'dateEpoch',
+                       'tags' : 'esMap'}});
+assert.deepEqual({at : { N : "1714557600000"}, d : { S : "2024-05-01T10:00:00.000Z"},
+                  meta : { M : { created : { S : "2024-05-01T10:00:00.000Z"}}},
+                  events : { L : [{ M : { at : { N : "1714557600000"}}}]}},
+                 ddb.objToDDB({at : date, d : date, meta : {created : date}, events : [{at : date}]}));
+
+item = ddb.objFromDDB({at : { N : "1714557600000"}, d : { S : "2024-05-01T10:00:00.000Z"},
+                       meta : { M : { created : { S : "2024-05-01T10:00:00.000Z"}}},
+                       events : { L : [{ M : { at : { N : "1714557600000"}}}]},
+                       tags : { M : { a : { S : "b"}}}});
+assert.equal(date.getTime(), item.at.getTime());
+assert.equal("2024-05-01T10:00:00.000Z", item.d);
+assert.equal(date.getTime(), item.meta.created.getTime());
+assert.equal(date.getTime(), item.events[0].at.getTime());
+assert.ok(item.tags instanceof Map);
+assert.equal("b", item.tags.get("a"));
+
+// user converters
+var Point = function(x, y) { this.x = x; this.y = y; };
+ddb = lib.ddb({credentials: credentials});
+ddb.registerConverter('point', {
+  test: function(value) { return value instanceof Point; },
+  marshal: function(value) { return value.x + ',' + value.y; },
+  unmarshal: function(value) { var xy = value.split(','); return new Point(+xy[0], +xy[1]); },
+  read: function(value) { return typeof value === 'string' && /^-?\d+,-?\d+$/.test(value); }
+});
+assert.deepEqual({p : { S : "1,2"}}, ddb.objToDDB({p : new Point(1, 2)}));
+assert.deepEqual(new Point(3, 4), ddb.objFromDDB({p : { S : "3,4"}}).p);
+assert.throws(function() { ddb.registerConverter('bad', {test: function() {}}); }, /missing marshal/);
+assert.throws(function() { ddb.registerConverter('unknown'); }, /Unknown Converter/);
+
+// hints apply to the keys of item operations
+var client = stub.client(function(op, data)
+{
+  return { ConsumedCapacity: { CapacityUnits: 1 } };
+}, { hints: {'at' : 'dateEpoch'} });
+
+var tests = [];
+
+tests.push(function(done)
+{
+  var key = { at : { N : "1714557600000"}};
+  client.ddb.getItem('t', {at : date}, {}, function(err)
+  {
+    assert.equal(null, err);
+    client.ddb.deleteItem('t', {at : date}, {}, function(err)
+    {
+      assert.equal(null, err);
+      client.ddb.updateItem('t', {at : date}, {updateExpression : 'SET v = :v',
+                                                expressionAttributeValues : {':v' : 1}}, function(err)
+      {
+        assert.equal(null, err);
+        assert.deepEqual([key, key, key], client.requests.map(function(r) { return r.data.Key; }));
+        done();
+      });
+    });
+  });
+});
+
+stub.run('converters', tests);
@@ -0,0 +1,129 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var stub = require('./stub');
+
+var client = stub.client(function(op, data)
+{
+  return { TableDescription: { TableName: data.TableName, TableStatus: 'CREATING' } };
+});
+var ddb = client.ddb;
+
+var tests = [];
+
+tests.push(function(done)
+{
+  ddb.createTable('foo', { hash: ['id', ddb.schemaTypes().string], range: ['time', ddb.schemaTypes().number] },
+                  { read: 10, write: 5 }, function(err, details)
+  {
+    assert.equal(null, err);
+    assert.deepEqual({ TableName: 'foo', TableStatus: 'CREATING' }, details);
+    var data = client.requests[0].data;
+    assert.equal('CreateTable', client.requests[0].op);
+    assert.deepEqual([{ AttributeName: 'id', KeyType: 'HASH' }, { AttributeName: 'time', KeyType: 'RANGE' }],
+                     data.KeySchema);
+    assert.deepEqual([{ AttributeName: 'id', AttributeType: 'S' }, { AttributeName: 'time', AttributeType: 'N' }],
+                     data.AttributeDefinitions);
+    assert.deepEqual({ ReadCapacityUnits: 10, WriteCapacityUnits: 5 }, data.ProvisionedThroughput);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // secondary indexes, streams and encryption
+  ddb.createTable('foo', { hash: ['id', 'S'], range: ['time', 'N'] }, { read: 10, write: 10 },
+                  { globalSecondaryIndexes: [{ name: 'by-user', hash: ['user', 'S'], range: ['time', 'N'],
+                                               projection: ['score'], throughput: { read: 5, write: 5 } }],
+                    localSecondaryIndexes: [{ name: 'by-score', hash: ['id', 'S'], range: ['score', 'N'],
+                                              projection: 'KEYS_ONLY' }],
+                    stream: 'NEW_IMAGE',
+                    sse: { type: 'KMS', kmsKeyId: 'key' } }, function(err)
+  {
+    assert.equal(null, err);
+    var data = client.requests[0].data;
+    assert.deepEqual([{ IndexName: 'by-user',
+                        KeySchema: [{ AttributeName: 'user', KeyType: 'HASH' },
+                                    { AttributeName: 'time', KeyType: 'RANGE' }],
+                        Projection: { ProjectionType: 'INCLUDE', NonKeyAttributes: ['score'] },
+                        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 } }],
+                     data.GlobalSecondaryIndexes);
+    assert.deepEqual([{ IndexName: 'by-score',
+                        KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' },
+                                    { AttributeName: 'score', KeyType: 'RANGE' }],
+                        Projection: { ProjectionType: 'KEYS_ONLY' } }],
+                     data.LocalSecondaryIndexes);
+    assert.deepEqual(['id', 'time', 'user', 'score'], data.AttributeDefinitions.map(function(a)
+    {
+      return a.AttributeName;
+    }));
+    assert.deepEqual({ StreamEnabled: true, StreamViewType: 'NEW_IMAGE' }, data.StreamSpecification);
+    assert.deepEqual({ Enabled: true, SSEType: 'KMS', KMSMasterKeyId: 'key' }, data.SSESpecification);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // on demand tables have no throughput
+  ddb.createTable('foo', { hash: ['id', 'S'] }, null,
+                  { billingMode: 'PAY_PER_REQUEST', globalSecondaryIndexes: [{ name: 'g', hash: ['g', 'N'] }] },
+                  function(err)
+  {
+    assert.equal(null, err);
+    var data = client.requests[0].data;
+    assert.equal('PAY_PER_REQUEST', data.BillingMode);
+    assert.equal(undefined, data.ProvisionedThroughput);
+    assert.equal(undefined, data.GlobalSecondaryIndexes[0].ProvisionedThroughput);
+    assert.deepEqual({ ProjectionType: 'ALL' }, data.GlobalSecondaryIndexes[0].Projection);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // invalid schemas are reported without a request
+  ddb.createTable('foo', { range: ['time', 'N'] }, { read: 1, write: 1 }, function(err)
+  {
+    assert.ok(/Invalid KeySchema/.test(err.message));
+    ddb.createTable('foo', { hash: ['id', 'S'] }, { read: 1, write: 1 },
+                    { attributeDefinitions: { id: 'N' } }, function(err)
+    {
+      assert.ok(/Conflicting AttributeDefinitions for id/.test(err.message));
+      ddb.createTable('foo', { hash: ['id', 'S'] }, { read: 1, write: 1 },
+                      { globalSecondaryIndexes: [{ hash: ['g', 'S'] }] }, function(err)
+      {
+        assert.ok(/Invalid secondary index/.test(err.message));
+        assert.equal(0, client.requests.length);
+        done();
+      });
+    });
+  });
+});
+
+stub.run('createTable', tests, {
+  before: function()
+  {
+    client.requests = [];
+  }
+});
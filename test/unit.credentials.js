@@ -0,0 +1,351 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+
+var creds = require('../lib/ddb').credentials;
+var stub = require('./stub');
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ddb-credentials-'));
+var expiration = new Date(Date.now() + 3600 * 1000).toISOString();
+var json = { AccessKeyId: 'AKID', SecretAccessKey: 'SECRET', Token: 'TOKEN', Expiration: expiration };
+
+var tests = [];
+var test = function(name, fn)
+{
+  tests.push(fn);
+};
+
+test('config', function(done)
+{
+  creds.fromConfig({ credentials: { accessKeyId: 'a', secretAccessKey: 's', securityToken: 't' } })(function(err, c)
+  {
+    assert.deepEqual({ accessKeyId: 'a', secretAccessKey: 's', sessionToken: 't', expiration: undefined }, c);
+    creds.fromConfig({ accessKeyId: 'a', secretAccessKey: 's', sessionToken: 't', sessionExpires: 1000 })(function(err, c)
+    {
+      assert.equal(1000, c.expiration.getTime());
+      creds.fromConfig({ accessKeyId: '', secretAccessKey: '' })(function(err, c)
+      {
+        assert.equal(null, c);
+        done();
+      });
+    });
+  });
+});
+
+test('env', function(done)
+{
+  creds.fromEnv({ env: { AWS_ACCESS_KEY_ID: 'a', AWS_SECRET_ACCESS_KEY: 's', AWS_SESSION_TOKEN: 't' } })(function(err, c)
+  {
+    assert.equal('t', c.sessionToken);
+    creds.fromEnv({ env: {} })(function(err, c)
+    {
+      assert.equal(null, c);
+      done();
+    });
+  });
+});
+
+test('ini', function(done)
+{
+  var credentialsFile = path.join(dir, 'credentials');
+  var configFile = path.join(dir, 'config');
+  fs.writeFileSync(credentialsFile, '[default]\naws_access_key_id = a\naws_secret_access_key = s\n' +
+                   '# comment\n[dev]\naws_access_key_id=d\naws_secret_access_key=ds\naws_session_token=dt\n');
+  var processFile = path.join(dir, 'process.js');
+  fs.writeFileSync(processFile, 'console.log(JSON.stringify({ Version: 1, AccessKeyId: "p", SecretAccessKey: "ps" }));');
+  fs.writeFileSync(configFile, '[profile proc]\nregion = eu-west-1\ns3 =\n  max_concurrent_requests = 2\n' +
+                   'credential_process = "' + process.execPath + '" "' + processFile + '"\n');
+  var options = function(profile)
+  {
+    return { profile: profile, filepath: credentialsFile, configFilepath: configFile, env: {} };
+  };
+  creds.fromIni(options())(function(err, c)
+  {
+    assert.equal('a', c.accessKeyId);
+    creds.fromIni(options('dev'))(function(err, c)
+    {
+      assert.deepEqual({ accessKeyId: 'd', secretAccessKey: 'ds', sessionToken: 'dt', expiration: undefined }, c);
+      creds.fromIni(options('proc'))(function(err, c)
+      {
+        assert.ifError(err);
+        assert.equal('p', c.accessKeyId);
+        creds.fromIni(options('missing'))(function(err, c)
+        {
+          assert.equal('CredentialsError', err.code);
+          creds.fromIni({ filepath: path.join(dir, 'none'), configFilepath: path.join(dir, 'none'), env: {} })(function(err, c)
+          {
+            assert.ifError(err);
+            assert.equal(null, c);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
+
+test('process', function(done)
+{
+  creds.fromProcess('"' + process.execPath + '" -e "console.log(\'{}\')"')(function(err, c)
+  {
+    assert.ok(/version/.test(err.message));
+    done();
+  });
+});
+
+test('container and instance metadata', function(done)
+{
+  var requests = [];
+  var server = http.createServer(function(req, res)
+  {
+    requests.push(req.method + ' ' + req.url + ' ' + (req.headers.authorization || req.headers['x-aws-ec2-metadata-token'] || ''));
+    if (req.url === '/creds')
+      return res.end(JSON.stringify(json));
+    if (req.url === '/latest/api/token')
+      return res.end('IMDS');
+    if (req.url === '/latest/meta-data/iam/security-credentials/')
+      return res.end('my-role\n');
+    if (req.url === '/latest/meta-data/iam/security-credentials/my-role')
+      return res.end(JSON.stringify(json));
+    res.statusCode = 404;
+    res.end();
+  });
+  server.listen(0, '127.0.0.1', function()
+  {
+    var host = 'http://127.0.0.1:' + server.address().port;
+    creds.fromContainer({ host: host, env: { AWS_CONTAINER_CREDENTIALS_RELATIVE_URI: '/creds',
+                                             AWS_CONTAINER_AUTHORIZATION_TOKEN: 'secret' } })(function(err, c)
+    {
+      assert.ifError(err);
+      assert.deepEqual({ accessKeyId: 'AKID', secretAccessKey: 'SECRET', sessionToken: 'TOKEN',
+                         expiration: new Date(expiration) }, c);
+      creds.fromContainer({ env: { AWS_CONTAINER_CREDENTIALS_FULL_URI: host + '/creds' } })(function(err, c)
+      {
+        assert.ifError(err);
+        assert.equal('AKID', c.accessKeyId);
+        creds.fromInstanceMetadata({ endpoint: host, env: {} })(function(err, c)
+        {
+          assert.ifError(err);
+          assert.equal('TOKEN', c.sessionToken);
+          assert.deepEqual(['GET /creds secret',
+                            'GET /creds ',
+                            'PUT /latest/api/token ',
+                            'GET /latest/meta-data/iam/security-credentials/ IMDS',
+                            'GET /latest/meta-data/iam/security-credentials/my-role IMDS'], requests);
+          server.close(function()
+          {
+            // nothing listens anymore: not on an instance
+            creds.fromInstanceMetadata({ endpoint: host, env: {} })(function(err, c)
+            {
+              assert.ifError(err);
+              assert.equal(null, c);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+test('container full uri hosts', function(done)
+{
+  // plain http only to loopback and container hosts, nothing is fetched
+  var rejected = ['http://169.254.169.254/creds', 'http://example.com/creds', 'http://127.example.com/creds',
+                  'http://[fd00:ec2::24]/creds'];
+  (function next(i)
+  {
+    if (i >= rejected.length)
+      return done();
+    creds.fromContainer({ env: { AWS_CONTAINER_CREDENTIALS_FULL_URI: rejected[i] } })(function(err, c)
+    {
+      assert.equal('CredentialsError', err.code);
+      assert.ok(/AWS_CONTAINER_CREDENTIALS_FULL_URI/.test(err.message));
+      assert.equal(undefined, c);
+      next(i + 1);
+    });
+  })(0);
+});
+
+test('chain and cache', function(done)
+{
+  var calls = 0;
+  var expires = Date.now() + 60 * 1000;
+  var provider = creds.cached(creds.chain([creds.fromEnv({ env: {} }), function(cb)
+  {
+    calls++;
+    setTimeout(function()
+    {
+      cb(null, { accessKeyId: 'k' + calls, secretAccessKey: 's', expiration: new Date(expires) });
+    }, 10);
+  }]), { expiryWindow: 0 });
+
+  var pending = 2;
+  var got = function(err, c)
+  {
+    assert.equal('k1', c.accessKeyId);
+    if (--pending > 0)
+      return;
+    // concurrent calls share one resolution, then the cache is used
+    provider(function(err, c)
+    {
+      assert.equal(1, calls);
+      // expiring within the window: refreshed
+      expires = Date.now() - 1;
+      provider.expire();
+      provider(function(err, c)
+      {
+        provider(function(err, c)
+        {
+          assert.equal('k3', c.accessKeyId);
+          assert.equal(3, calls);
+          creds.cached(creds.chain([]))(function(err, c)
+          {
+            assert.equal('CredentialsError', err.code);
+            done();
+          });
+        });
+      });
+    });
+  };
+  provider(got);
+  provider(got);
+});
+
+test('sts', function(done)
+{
+  var requests = [];
+  var server = http.createServer(function(req, res)
+  {
+    var body = '';
+    req.on('data', function(chunk) { body += chunk; });
+    req.on('end', function()
+    {
+      var form = require('querystring').parse(body);
+      requests.push({ form: form, authorization: req.headers.authorization || '' });
+      if (form.RoleArn === 'denied')
+      {
+        res.statusCode = 403;
+        return res.end('<ErrorResponse><Error><Code>AccessDenied</Code><Message>not &amp; never</Message>' +
+                       '</Error><RequestId>r1</RequestId></ErrorResponse>');
+      }
+      setTimeout(function()
+      {
+        res.end('<' + form.Action + 'Response><' + form.Action + 'Result><Credentials>' +
+                '<AccessKeyId>ASIA' + requests.length + '</AccessKeyId><SecretAccessKey>S</SecretAccessKey>' +
+                '<SessionToken>T&amp;</SessionToken><Expiration>' + expiration + '</Expiration>' +
+                '</Credentials></' + form.Action + 'Result></' + form.Action + 'Response>');
+      }, 10);
+    });
+  });
+  server.listen(0, '127.0.0.1', function()
+  {
+    var endpoint = 'http://127.0.0.1:' + server.address().port;
+    var source = creds.fromConfig({ accessKeyId: 'a', secretAccessKey: 's', sessionToken: 'st' });
+    var provider = creds.cached(creds.fromAssumeRole({
+      roleArn: 'arn:role', roleSessionName: 'sess', externalId: 'ext', durationSeconds: 900,
+      serialNumber: 'arn:mfa', mfa: function(serial, cb) { cb(null, '123456'); },
+      source: source, endpoint: endpoint, region: 'eu-west-1'
+    }));
+
+    // concurrent calls wait on a single AssumeRole
+    var pending = 3;
+    var got = function(err, c)
+    {
+      assert.ifError(err);
+      assert.deepEqual({ accessKeyId: 'ASIA1', secretAccessKey: 'S', sessionToken: 'T&',
+                         expiration: new Date(expiration) }, c);
+      if (--pending > 0)
+        return;
+      assert.equal(1, requests.length);
+      assert.deepEqual({ Action: 'AssumeRole', Version: '2011-06-15', RoleArn: 'arn:role', RoleSessionName: 'sess',
+                         ExternalId: 'ext', DurationSeconds: '900', SerialNumber: 'arn:mfa', TokenCode: '123456' },
+                       requests[0].form);
+      assert.ok(/Credential=a\/\d{8}\/eu-west-1\/sts\/aws4_request/.test(requests[0].authorization));
+
+      var tokenFile = path.join(dir, 'token');
+      fs.writeFileSync(tokenFile, 'oidc-token\n');
+      creds.fromWebIdentity({ env: { AWS_ROLE_ARN: 'arn:web', AWS_WEB_IDENTITY_TOKEN_FILE: tokenFile },
+                              endpoint: endpoint })(function(err, c)
+      {
+        assert.ifError(err);
+        assert.equal('ASIA2', c.accessKeyId);
+        assert.equal('', requests[1].authorization);
+        assert.equal('oidc-token', requests[1].form.WebIdentityToken);
+        assert.equal('AssumeRoleWithWebIdentity', requests[1].form.Action);
+
+        var configFile = path.join(dir, 'config');
+        fs.writeFileSync(configFile, '[profile base]\naws_access_key_id = b\naws_secret_access_key = bs\n' +
+                         '[profile admin]\nrole_arn = arn:admin\nsource_profile = base\nexternal_id = x\n' +
+                         '[profile loop]\nrole_arn = arn:loop\nsource_profile = loop2\n' +
+                         '[profile loop2]\nrole_arn = arn:loop2\nsource_profile = loop\n');
+        var options = function(profile)
+        {
+          return { profile: profile, filepath: path.join(dir, 'none'), configFilepath: configFile, env: {},
+                   endpoint: endpoint };
+        };
+        creds.fromIni(options('admin'))(function(err, c)
+        {
+          assert.ifError(err);
+          assert.equal('ASIA3', c.accessKeyId);
+          assert.equal('x', requests[2].form.ExternalId);
+          assert.ok(/Credential=b\//.test(requests[2].authorization));
+          creds.fromIni(options('loop'))(function(err)
+          {
+            assert.ok(/cycle/.test(err.message));
+            creds.fromAssumeRole({ roleArn: 'denied', source: source, endpoint: endpoint })(function(err)
+            {
+              assert.equal('CredentialsError', err.code);
+              assert.equal('AccessDenied', err.cause.code);
+              assert.equal('r1', err.cause.requestId);
+              assert.ok(/not & never/.test(err.message));
+              creds.fromAssumeRole({ roleArn: 'arn:role', serialNumber: 'arn:mfa', source: source,
+                                     endpoint: endpoint })(function(err)
+              {
+                assert.ok(/mfa callback/.test(err.message));
+                server.close(done);
+              });
+            });
+          });
+        });
+      });
+    };
+    provider(got);
+    provider(got);
+    provider(got);
+  });
+});
+
+stub.run('credentials', tests, {
+  after: function()
+  {
+    fs.readdirSync(dir).forEach(function(file)
+    {
+      fs.unlinkSync(path.join(dir, file));
+    });
+    fs.rmdirSync(dir);
+  }
+});
@@ -0,0 +1,196 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var lib = require('../lib/ddb');
+var stub = require('./stub');
+var errors = lib.errors;
+var credentials = {accessKeyId: "a", secretAccessKey: "s"};
+
+// classes picked by code
+assert.ok(errors.create('', { code: 'TimeoutError' }) instanceof errors.TimeoutError);
+assert.ok(errors.create('', { code: 'AbortError' }) instanceof errors.AbortError);
+assert.ok(errors.create('', { code: 'ThrottlingException' }) instanceof errors.ThrottlingError);
+assert.ok(errors.create('', { code: 'EPIPE' }) instanceof errors.NetworkError);
+assert.equal(true, errors.create('', { code: 'TimeoutError' }).retryable);
+assert.equal(false, errors.create('', { code: 'AbortError' }).retryable);
+assert.equal(false, errors.create('', { code: 'EPIPE', retryable: false }).retryable);
+
+// the next response of the server
+var response = null;
+var server = stub.server(function(req, res)
+{
+  req.resume();
+  req.on('end', function()
+  {
+    res.writeHead(response.status, { 'content-type': 'application/x-amz-json-1.0',
+                                     'x-amzn-requestid': 'REQ' });
+    res.end(JSON.stringify(response.body));
+  });
+});
+
+var ddb = null;
+
+var prefix = 'com.amazonaws.dynamodb.v20120810#';
+var tests = [];
+
+tests.push(function(done)
+{
+  response = { status: 400, body: { __type: prefix + 'ConditionalCheckFailedException',
+                                    message: 'The conditional request failed' } };
+  ddb.putItem('t', { id: 1 }, {}, function(err)
+  {
+    assert.ok(err instanceof errors.ConditionalCheckFailedError);
+    assert.ok(err instanceof errors.DynamoDBError);
+    assert.ok(err instanceof Error);
+    assert.equal('ConditionalCheckFailedError', err.name);
+    assert.equal('ConditionalCheckFailedException', err.code);
+    assert.equal('PutItem [400]: The conditional request failed', err.message);
+    assert.equal('PutItem', err.operation);
+    assert.equal('t', err.table);
+    assert.equal('REQ', err.requestId);
+    assert.equal(400, err.statusCode);
+    assert.equal(1, err.attempts);
+    assert.equal(false, err.retryable);
+    assert.ok(err.conditionalCheckFailed);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  response = { status: 400, body: { __type: prefix + 'ProvisionedThroughputExceededException' } };
+  ddb.getItem('t', { id: 1 }, {}, function(err)
+  {
+    assert.ok(err instanceof errors.ThrottlingError);
+    assert.equal(true, err.retryable);
+    assert.equal(2, err.attempts);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  response = { status: 400, body: { __type: prefix + 'ResourceNotFoundException' } };
+  ddb.describeTable('t', function(err)
+  {
+    assert.ok(err instanceof errors.ResourceNotFoundError);
+    response = { status: 400, body: { __type: 'com.amazon.coral.validate#ValidationException' } };
+    ddb.describeTable('t', function(err)
+    {
+      assert.ok(err instanceof errors.ValidationError);
+      assert.equal('com.amazon.coral.validate#ValidationException', err.type);
+      done();
+    });
+  });
+});
+
+tests.push(function(done)
+{
+  response = { status: 400, body: { __type: prefix + 'TransactionCanceledException',
+                                    CancellationReasons: [{ Code: 'None' }, { Code: 'ConditionalCheckFailed' }] } };
+  ddb.transactWrite([{ put: { table: 't', item: { id: 1 } } }], {}, function(err)
+  {
+    assert.ok(err instanceof errors.TransactionCanceledError);
+    assert.equal(2, err.reasons.length);
+    assert.equal('ConditionalCheckFailed', err.cancellationReasons[1].code);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // no __type
+  response = { status: 502, body: {} };
+  ddb.listTables({}, function(err)
+  {
+    assert.ok(err instanceof errors.DynamoDBError);
+    assert.equal('HTTP502', err.code);
+    assert.equal(true, err.retryable);
+    assert.equal(2, err.attempts);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // nothing listens on the port
+  var refused = lib.ddb({ credentials: credentials, endpoint: 'http://127.0.0.1:1', retries: 0 });
+  refused.getItem('t', { id: 1 }, {}, function(err)
+  {
+    assert.ok(err instanceof errors.NetworkError);
+    assert.equal('ECONNREFUSED', err.code);
+    assert.equal('ECONNREFUSED', err.cause.code);
+    assert.equal('GetItem', err.operation);
+    assert.equal(true, err.retryable);
+    refused.destroy();
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // values that can't be converted, before any request
+  ddb.putItem('t', { id: 1, n: Infinity }, {}, function(err)
+  {
+    assert.ok(err instanceof errors.ValidationError);
+    assert.equal('ValidationError', err.code);
+    assert.equal('Non Compatible Number [not finite]: Infinity', err.message);
+    assert.equal('PutItem', err.operation);
+    assert.equal('t', err.table);
+    assert.equal(false, err.retryable);
+    ddb.transactWrite([{ upsert: {} }], {}, function(err)
+    {
+      assert.ok(err instanceof errors.ValidationError);
+      assert.equal('TransactWriteItems', err.operation);
+      done();
+    });
+  });
+});
+
+tests.push(function(done)
+{
+  // credentials that can't be resolved
+  var failing = lib.ddb({ credentials: lib.credentials.chain([]), endpoint: 'http://127.0.0.1:1' });
+  failing.getItem('t', { id: 1 }, {}, function(err)
+  {
+    assert.ok(err instanceof errors.DynamoDBError);
+    assert.equal('CredentialsError', err.code);
+    assert.equal('GetItem', err.operation);
+    assert.equal('t', err.table);
+    failing.destroy();
+    done();
+  });
+});
+
+server.listen(0, '127.0.0.1', function()
+{
+  ddb = lib.ddb({ credentials: credentials, endpoint: 'http://127.0.0.1:' + server.address().port,
+                  retry: lib.retry.policy({ maxAttempts: 2, baseDelay: 1, jitter: 'none' }) });
+  stub.run('errors', tests, {
+    after: function()
+    {
+      ddb.destroy();
+      server.shutdown();
+    }
+  });
+});
@@ -0,0 +1,88 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var expr = require('../lib/expressions');
+var attr = expr.attr;
+
+assert.deepEqual({
+  updateExpression: 'SET #n0.#n1 = :v0 REMOVE #n2 ADD #n3 :v1',
+  expressionAttributeNames: { '#n0': 'a', '#n1': 'b', '#n2': 'tmp', '#n3': 'count' },
+  expressionAttributeValues: { ':v0': 1, ':v1': 1 }
+}, expr.build({ update: expr.update().set('a.b', 1).add('count', 1).remove('tmp') }));
+
+assert.deepEqual({
+  conditionExpression: '#n0 = :v0 AND #n1 > :v1',
+  expressionAttributeNames: { '#n0': 'status', '#n1': 'age' },
+  expressionAttributeValues: { ':v0': 'on', ':v1': 3 }
+}, expr.build({ condition: attr('status').eq('on').and(attr('age').gt(3)) }));
+
+// names are shared across expressions, values are not
+assert.deepEqual({
+  conditionExpression: '#n0 < :v0',
+  updateExpression: 'SET #n0 = #n0 + :v1',
+  expressionAttributeNames: { '#n0': 'count' },
+  expressionAttributeValues: { ':v0': 10, ':v1': 1 }
+}, expr.build({ update: expr.update().set('count', attr('count').plus(1)),
+                condition: attr('count').lt(10) }));
+
+// existing placeholders are preserved and never reused
+assert.deepEqual({
+  limit: 2,
+  filterExpression: '#n1 BETWEEN :v1 AND :v2',
+  expressionAttributeNames: { '#n0': 'x', '#n1': 'ts' },
+  expressionAttributeValues: { ':v0': 'y', ':v1': 1, ':v2': 2 }
+}, expr.build({ filter: attr('ts').between(1, 2) },
+              { limit: 2,
+                filterExpression: 'ignored',
+                expressionAttributeNames: { '#n0': 'x' },
+                expressionAttributeValues: { ':v0': 'y' } }));
+
+assert.equal('#n0[2].#n1, #n2, #n3',
+             expr.build({ projection: expr.projection('list[2].a', 'b', ['c.d']) }).projectionExpression);
+
+assert.equal('NOT (begins_with(#n0, :v0) OR attribute_not_exists(#n1))',
+             expr.build({ condition: expr.or(attr('a').beginsWith('x'), attr('b').notExists()).not() }).conditionExpression);
+
+assert.equal('size(#n0) >= :v0 AND #n1 IN (:v1, :v2)',
+             expr.build({ condition: expr.and(attr('l').size().ge(2), attr('s')['in'](['a', 'b'])) }).conditionExpression);
+
+assert.equal('#n0 = :v0 AND (#n1 < :v1 OR #n1 > :v2)',
+             expr.build({ condition: attr('a').eq(1).and(attr('b').lt(0).or(attr('b').gt(9))) }).conditionExpression);
+assert.equal('#n0 = :v0 OR #n1 = :v1 AND #n2 = :v2',
+             expr.build({ condition: attr('a').eq(1).or(attr('b').eq(2).and(attr('c').eq(3))) }).conditionExpression);
+assert.equal('#n0 = :v0 AND #n1 BETWEEN :v1 AND :v2',
+             expr.build({ keyCondition: attr('id').eq('x').and(attr('ts').between(1, 2)) }).keyConditionExpression);
+
+// resolve renders builders placed directly in options
+var options = { updateExpression: expr.update().setIfNotExists('n', 0).append('l', [1]),
+                returnValues: 'ALL_NEW' };
+assert.deepEqual({
+  returnValues: 'ALL_NEW',
+  updateExpression: 'SET #n0 = if_not_exists(#n0, :v0), #n1 = list_append(#n1, :v1)',
+  expressionAttributeNames: { '#n0': 'n', '#n1': 'l' },
+  expressionAttributeValues: { ':v0': 0, ':v1': [1] }
+}, expr.resolve(options));
+var plain = { updateExpression: 'SET a = :a' };
+assert.equal(plain, expr.resolve(plain));
+
+console.log('expressions       : ok');
@@ -0,0 +1,96 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var ddb = require('../lib/ddb').ddb({credentials: {accessKeyId: "", secretAccessKey: ""}});
+var objToDDB = ddb.objToDDB;
+var objFromDDB = ddb.objFromDDB;
+
+assert.deepEqual({s : "", n : 0, b : false, z : null, m : {}, l : []},
+                 objFromDDB({s : { S : ""}, n : { N : "0"}, b : { BOOL : false}, z : { NULL : true},
+                             m : { M : {}}, l : { L : []}}));
+assert.deepEqual({l : [1, "", [false, { m : [null] }]], m : { a : { b : [{ c : "d" }] } }},
+                 objFromDDB({l : { L : [{ N : "1"}, { S : ""}, { L : [{ BOOL : false}, { M : { m : { L : [{ NULL : true}]}}}]}]},
+                             m : { M : { a : { M : { b : { L : [{ M : { c : { S : "d"}}}]}}}}}}));
+assert.ok(Array.isArray(objFromDDB({l : { L : [{ S : "a"}]}}).l));
+assert.equal(undefined, objFromDDB(undefined));
+assert.throws(function() { objFromDDB({m : { M : { a : { L : [{ S : "x"}, { X : "?"}]}}}}); }, /: m\.a\[1\]$/);
+
+// binary
+assert.deepEqual({key : { B : "aGk="}}, objToDDB({key : Buffer.from("hi")}));
+assert.deepEqual({key : { B : "AQI="}}, objToDDB({key : new Uint8Array([1, 2])}));
+assert.deepEqual({key : { BS : ["eA==", "AQI="]}}, objToDDB({key : ddb.set([Buffer.from("x"), Buffer.from([1, 2])])}));
+assert.deepEqual({key : { L : [{ B : "eA=="}]}}, objToDDB({key : [Buffer.from("x")]}));
+assert.deepEqual({key : { M : { b : { B : "aGk=" }}}}, objToDDB({key : { b : Buffer.from("hi") }}));
+
+var bin = objFromDDB({key : { B : "aGk="}, set : { BS : ["eA=="]}, map : { M : { b : { B : "" }}}});
+assert.ok(Buffer.isBuffer(bin.key));
+assert.equal("hi", bin.key.toString());
+assert.equal("BS", bin.set.type);
+assert.ok(Buffer.isBuffer(bin.set.values[0]));
+assert.equal("x", bin.set.values[0].toString());
+assert.ok(Buffer.isBuffer(bin.map.b));
+assert.equal(0, bin.map.b.length);
+
+// numbers
+var exact = require('../lib/ddb').ddb({credentials: {accessKeyId: "", secretAccessKey: ""},
+                                       numbers: 'bigint'});
+assert.deepEqual({key : { N : "12345678901234567890123"}}, exact.objToDDB({key : BigInt("12345678901234567890123")}));
+assert.deepEqual({key : { NS : ["1", "2"]}}, exact.objToDDB({key : exact.set([BigInt(1), 2])}));
+var num = exact.objFromDDB({big : { N : "9007199254740993"}, small : { N : "12"}, dec : { N : "1.5"}});
+assert.equal("bigint", typeof num.big);
+assert.equal("9007199254740993", num.big.toString());
+assert.equal(12, num.small);
+assert.equal(1.5, num.dec);
+
+var str = require('../lib/ddb').ddb({credentials: {accessKeyId: "", secretAccessKey: ""},
+                                     numbers: 'string'});
+var strs = str.objFromDDB({key : { N : "0.10"}, set : { NS : ["1", "2"]}});
+assert.equal("0.10", strs.key);
+assert.deepEqual(["1", "2"], strs.set.values);
+
+var Decimal = function(s) { this.s = s; };
+Decimal.prototype.toString = function() { return this.s; };
+var dec = require('../lib/ddb').ddb({credentials: {accessKeyId: "", secretAccessKey: ""},
+                                     numbers: { parse: function(s) { return new Decimal(s); },
+                                                test: function(v) { return v instanceof Decimal; } }});
+assert.deepEqual({ N : "0.10"}, dec.scToDDB(new Decimal("0.10")));
+assert.ok(dec.objFromDDB({key : { N : "0.10"}}).key instanceof Decimal);
+assert.throws(function() { dec.scToDDB(new Decimal("1." + new Array(39).join("1") + "1")); }, /38 digits/);
+assert.throws(function() { dec.scToDDB(new Decimal("1e126")); }, /range/);
+assert.throws(function() { objToDDB({key : NaN}); }, /not finite/);
+assert.throws(function() {
+  require('../lib/ddb').ddb({credentials: {accessKeyId: "", secretAccessKey: ""}, numbers: 'decimal'});
+}, /Invalid Numbers Mode/);
+assert.throws(function() {
+  require('../lib/ddb').ddb({credentials: {accessKeyId: "", secretAccessKey: ""}, numbers: { parse: parseFloat }});
+}, /Invalid Numbers Mode/);
+
+// sets
+var sets = objFromDDB({ss : { SS : ["a", "b"]}, ns : { NS : ["1", "2"]}});
+assert.equal("SS", sets.ss.type);
+assert.deepEqual(["a", "b"], sets.ss.values);
+assert.equal("NS", sets.ns.type);
+assert.deepEqual([1, 2], sets.ns.values);
+assert.deepEqual({ss : { SS : ["a", "b"]}, ns : { NS : ["1", "2"]}}, objToDDB(sets));
+
+console.log('objFromDDB        : ok');
@@ -0,0 +1,140 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var stub = require('./stub');
+var errors = require('../lib/errors');
+var expr = require('../lib/expressions');
+
+// the item 'locked' fails every condition, returning its current value
+var client = stub.client(function(op, data)
+{
+  if (data.Key && data.Key.id.S === 'locked' || data.Item && data.Item.id.S === 'locked')
+  {
+    var res = { __type: 'com.amazonaws.dynamodb.v20120810#ConditionalCheckFailedException',
+                message: 'The conditional request failed' };
+    if (data.ReturnValuesOnConditionCheckFailure === 'ALL_OLD')
+      res.Item = { id: { S: 'locked' }, v: { N: '7' } };
+    return res;
+  }
+  switch (op)
+  {
+    case 'GetItem':
+      return { Item: { id: data.Key.id, v: { N: '1' } }, ConsumedCapacity: { CapacityUnits: 0.5 } };
+    case 'PutItem':
+    case 'DeleteItem':
+      return { Attributes: { id: { S: 'a' }, v: { N: '0' } }, ConsumedCapacity: { CapacityUnits: 1 } };
+  }
+});
+var ddb = client.ddb;
+
+var tests = [];
+
+tests.push(function(done)
+{
+  ddb.getItem('foo', { id: 'a' }, { projectionExpression: '#i, v', expressionAttributeNames: { '#i': 'id' },
+                                    consistentRead: true }, function(err, item)
+  {
+    assert.equal(null, err);
+    assert.deepEqual({ id: 'a', v: 1 }, item);
+    assert.deepEqual({ TableName: 'foo', Key: { id: { S: 'a' } }, ProjectionExpression: '#i, v',
+                       ExpressionAttributeNames: { '#i': 'id' }, ConsistentRead: true,
+                       ReturnConsumedCapacity: 'TOTAL' }, client.requests[0].data);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  ddb.putItem('foo', { id: 'a', v: 1 }, { conditionExpression: 'attribute_not_exists(id) OR v < :max',
+                                          expressionAttributeValues: { ':max': 5 },
+                                          returnValues: 'ALL_OLD' }, function(err, attrs)
+  {
+    assert.equal(null, err);
+    assert.deepEqual({ id: 'a', v: 0 }, attrs);
+    assert.deepEqual({ TableName: 'foo', Item: { id: { S: 'a' }, v: { N: '1' } }, ReturnValues: 'ALL_OLD',
+                       ConditionExpression: 'attribute_not_exists(id) OR v < :max',
+                       ExpressionAttributeValues: { ':max': { N: '5' } },
+                       ReturnConsumedCapacity: 'TOTAL' }, client.requests[0].data);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  ddb.deleteItem('foo', { id: 'a' }, { conditionExpression: '#s = :s', expressionAttributeNames: { '#s': 'status' },
+                                       expressionAttributeValues: { ':s': 'done' } }, function(err)
+  {
+    assert.equal(null, err);
+    assert.deepEqual({ TableName: 'foo', Key: { id: { S: 'a' } }, ConditionExpression: '#s = :s',
+                       ExpressionAttributeNames: { '#s': 'status' },
+                       ExpressionAttributeValues: { ':s': { S: 'done' } },
+                       ReturnConsumedCapacity: 'TOTAL' }, client.requests[0].data);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // expression builders are rendered with their placeholders
+  ddb.getItem('foo', { id: 'a' }, { projectionExpression: expr.projection('id', 'v') }, function(err)
+  {
+    assert.equal(null, err);
+    assert.equal('#n0, #n1', client.requests[0].data.ProjectionExpression);
+    assert.deepEqual({ '#n0': 'id', '#n1': 'v' }, client.requests[0].data.ExpressionAttributeNames);
+    ddb.putItem('foo', { id: 'a' }, { conditionExpression: expr.attr('v').lt(5) }, function(err)
+    {
+      assert.equal(null, err);
+      assert.equal('#n0 < :v0', client.requests[1].data.ConditionExpression);
+      assert.deepEqual({ ':v0': { N: '5' } }, client.requests[1].data.ExpressionAttributeValues);
+      done();
+    });
+  });
+});
+
+tests.push(function(done)
+{
+  // a failed condition returns the current item with ALL_OLD
+  ddb.putItem('foo', { id: 'locked' }, { conditionExpression: 'attribute_not_exists(id)',
+                                         returnValuesOnConditionCheckFailure: 'ALL_OLD' }, function(err)
+  {
+    assert.ok(err instanceof errors.ConditionalCheckFailedError);
+    assert.equal(true, err.conditionalCheckFailed);
+    assert.deepEqual({ id: 'locked', v: 7 }, err.item);
+    assert.equal('ALL_OLD', client.requests[0].data.ReturnValuesOnConditionCheckFailure);
+    ddb.deleteItem('foo', { id: 'locked' }, { conditionExpression: 'attribute_exists(id)' }, function(err)
+    {
+      assert.equal(true, err.conditionalCheckFailed);
+      assert.equal('DeleteItem', err.operation);
+      assert.equal(undefined, err.item);
+      assert.equal(2, client.requests.length);
+      done();
+    });
+  });
+});
+
+stub.run('items', tests, {
+  before: function()
+  {
+    client.requests = [];
+  }
+});
@@ -0,0 +1,210 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var lib = require('../lib/ddb');
+var stub = require('./stub');
+var credentials = {accessKeyId: "a", secretAccessKey: "s", sessionToken: "token"};
+
+// redaction
+assert.deepEqual({ authorization: '[REDACTED]', 'X-Amz-Security-Token': '[REDACTED]', host: 'h' },
+                 lib.logger.redactHeaders({ authorization: 'AWS4-HMAC-SHA256 ...', 'X-Amz-Security-Token': 't',
+                                            host: 'h' }));
+assert.deepEqual({ Item: { id: { S: 'a' }, password: '[REDACTED]' }, Keys: [{ password: '[REDACTED]' }] },
+                 lib.logger.redactPayload({ Item: { id: { S: 'a' }, password: { S: 'secret' } },
+                                            Keys: [{ password: { S: 'secret' } }] }, ['password']));
+assert.throws(function() { lib.logger.logger({ logger: console, level: 'trace' }); }, /Invalid Log Level/);
+
+// expression values bound to sensitive attributes
+var redacted = lib.logger.redactPayload({
+  UpdateExpression: 'SET #n0 = :v0, #n1 = list_append(#n1, :v1) ADD #n2 :v2',
+  ConditionExpression: '#n0 BETWEEN :a AND :b AND (begins_with(#n1, :c) OR #n2 IN (:d, :e)) AND password <> :f',
+  ExpressionAttributeNames: { '#n0': 'password', '#n1': 'tags', '#n2': 'ssn' },
+  ExpressionAttributeValues: { ':v0': { S: 'hunter2' }, ':v1': { L: [] }, ':v2': { N: '1' }, ':a': { S: 'a' },
+                               ':b': { S: 'b' }, ':c': { S: 'c' }, ':d': { S: 'd' }, ':e': { S: 'e' },
+                               ':f': { S: 'f' } }
+}, ['password', 'ssn']).ExpressionAttributeValues;
+assert.deepEqual({ ':v0': '[REDACTED]', ':v1': { L: [] }, ':v2': '[REDACTED]', ':a': '[REDACTED]',
+                   ':b': '[REDACTED]', ':c': { S: 'c' }, ':d': '[REDACTED]', ':e': '[REDACTED]',
+                   ':f': '[REDACTED]' }, redacted);
+redacted = lib.logger.redactPayload({ TransactItems: [{ Update: {
+  UpdateExpression: 'SET #n0 = :v0',
+  ExpressionAttributeNames: { '#n0': 'password' },
+  ExpressionAttributeValues: { ':v0': { S: 'hunter2' } }
+} }] }, ['password']);
+assert.equal('[REDACTED]', redacted.TransactItems[0].Update.ExpressionAttributeValues[':v0']);
+
+// the first attempt of each test is throttled
+var hits = 0;
+var server = stub.server(function(req, res)
+{
+  hits++;
+  req.resume();
+  req.on('end', function()
+  {
+    if (hits === 1)
+    {
+      res.writeHead(400, { 'x-amzn-requestid': 'R1' });
+      return res.end(JSON.stringify({ __type: 'com.amazonaws.dynamodb.v20120810#ThrottlingException' }));
+    }
+    res.writeHead(200, { 'x-amzn-requestid': 'R2' });
+    res.end(JSON.stringify({ ConsumedCapacity: { CapacityUnits: 1.5 } }));
+  });
+});
+
+var records = [];
+var options = null;
+var tests = [];
+
+tests.push(function(done)
+{
+  var ddb = lib.ddb(options);
+  ddb.putItem('t', { id: 'a', password: 'secret' }, {}, function(err)
+  {
+    assert.equal(null, err);
+    assert.deepEqual(['warn', 'info'], records.map(function(r) { return r.level; }));
+    assert.equal('ThrottlingException', records[0].record.error.code);
+    var info = records[1].record;
+    assert.equal('PutItem t', records[1].message);
+    assert.equal('PutItem', info.operation);
+    assert.equal('t', info.table);
+    assert.equal('R2', info.requestId);
+    assert.equal(2, info.attempts);
+    assert.equal(1.5, info.consumedCapacity);
+    assert.ok(info.requestSize > 0);
+    assert.equal(JSON.stringify({ ConsumedCapacity: { CapacityUnits: 1.5 } }).length, info.responseSize);
+    assert.ok(info.latency >= 0);
+    ddb.destroy();
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // wire dumps
+  options.logLevel = 'debug';
+  var ddb = lib.ddb(options);
+  ddb.putItem('t', { id: 'a', password: 'secret' }, {}, function(err)
+  {
+    assert.equal(null, err);
+    assert.deepEqual(['debug', 'warn', 'debug', 'info'], records.map(function(r) { return r.level; }));
+    var dump = records[0].record;
+    assert.equal('R1', dump.requestId);
+    assert.equal('[REDACTED]', dump.request.headers.authorization);
+    assert.equal('[REDACTED]', dump.request.headers['x-amz-security-token']);
+    assert.deepEqual({ id: { S: 'a' }, password: '[REDACTED]' }, dump.request.body.Item);
+    assert.equal(400, dump.response.statusCode);
+    assert.ok(JSON.stringify(records).indexOf('secret') === -1);
+    ddb.destroy();
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // values of the expression builders
+  options.logLevel = 'debug';
+  hits = 1;
+  var ddb = lib.ddb(options);
+  ddb.updateItem('t', { id: 'a' }, { updateExpression: lib.expressions.update().set('password', 'hunter2') }, function(err)
+  {
+    assert.equal(null, err);
+    assert.equal('debug', records[0].level);
+    assert.ok(/password/.test(JSON.stringify(records[0].record.request.body)));
+    assert.ok(JSON.stringify(records).indexOf('hunter2') === -1);
+    ddb.destroy();
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // failures
+  options.logLevel = 'error';
+  options.retries = 0;
+  delete options.retry;
+  var ddb = lib.ddb(options);
+  ddb.listTables({}, function(err)
+  {
+    assert.equal('ThrottlingException', err.code);
+    assert.equal(1, records.length);
+    assert.equal('error', records[0].level);
+    assert.equal('ListTables failed', records[0].message);
+    assert.equal('R1', records[0].record.requestId);
+    assert.equal('ThrottlingError', records[0].record.error.name);
+    assert.equal(true, records[0].record.error.retryable);
+    ddb.destroy();
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // outcomes short-circuited by middlewares are logged
+  options.logLevel = 'info';
+  hits = 1;
+  var ddb = lib.ddb(options);
+  ddb.use('before-marshal', function(context, next)
+  {
+    next(context.options.fail ? new Error('refused') : undefined);
+  });
+  ddb.use('after-unmarshal', function(context, next)
+  {
+    next(null, { TableNames: ['cached'] });
+  });
+  ddb.listTables({}, function(err, res)
+  {
+    assert.equal(null, err);
+    assert.equal(1, records.length);
+    assert.equal('info', records[0].level);
+    ddb.listTables({ fail: true }, function(err)
+    {
+      assert.equal('refused', err.message);
+      assert.equal(2, records.length);
+      assert.equal('error', records[1].level);
+      ddb.destroy();
+      done();
+    });
+  });
+});
+
+server.listen(0, '127.0.0.1', function()
+{
+  options = { credentials: credentials, endpoint: 'http://127.0.0.1:' + server.address().port,
+              retry: lib.retry.policy({ baseDelay: 1, jitter: 'none' }), redact: ['password'],
+              logger: function(level, message, record)
+  {
+    records.push({ level: level, message: message, record: record });
+  } };
+  stub.run('logger', tests, {
+    before: function()
+    {
+      hits = 0;
+      records = [];
+      server.reset();
+    },
+    after: function()
+    {
+      server.shutdown();
+    }
+  });
+});
@@ -0,0 +1,255 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var lib = require('../lib/ddb');
+var stub = require('./stub');
+var credentials = {accessKeyId: "a", secretAccessKey: "s"};
+
+// the server answers with the request it got, and with the key schema of
+// the tables
+var hits = 0;
+var status = 200;
+var server = stub.server(function(req, res)
+{
+  hits++;
+  var body = '';
+  req.on('data', function(chunk) { body += chunk; });
+  req.on('end', function()
+  {
+    res.writeHead(status, { 'content-type': 'application/x-amz-json-1.0' });
+    if (status !== 200)
+      return res.end(JSON.stringify({ __type: 'com.amazonaws.dynamodb.v20120810#ResourceNotFoundException' }));
+    if (req.headers['x-amz-target'] === 'DynamoDB_20120810.DescribeTable')
+      return res.end(JSON.stringify({ Table: { KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] } }));
+    if (req.headers['x-amz-target'] === 'DynamoDB_20120810.BatchWriteItem')
+      return res.end(JSON.stringify({ UnprocessedItems: {}, ConsumedCapacity: [] }));
+    res.end(JSON.stringify({ Item: { id: { S: JSON.parse(body).TableName } }, ConsumedCapacity: { CapacityUnits: 1 },
+                             trace: req.headers['x-trace-id'] || null,
+                             url: req.url,
+                             signed: /x-trace-id/.test(req.headers.authorization) }));
+  });
+});
+var ddb = null;
+
+var tests = [];
+
+tests.push(function(done)
+{
+  var order = [];
+  ddb.use('before-marshal', function(context, next)
+  {
+    order.push('before-marshal');
+    assert.equal('GetItem', context.operation);
+    assert.equal('t', context.table);
+    context.params.TableName = 'renamed';
+    next();
+  });
+  ddb.use('before-sign', function(context, next)
+  {
+    order.push('before-sign');
+    context.request.headers['x-trace-id'] = 'trace';
+    next();
+  });
+  ddb.use('before-sign', function(context, next)
+  {
+    order.push('first');
+    next();
+  }, -1);
+  ddb.use('after-send', function(context, next)
+  {
+    order.push('after-send');
+    assert.equal(200, context.response.statusCode);
+    assert.ok(Buffer.isBuffer(context.response.body));
+    assert.equal(1, context.attempt);
+    assert.ok(context.timings.received >= context.timings.sent);
+    assert.ok(context.timings.sent >= context.timings.start);
+    next();
+  });
+  ddb.use('after-unmarshal', function(context, next)
+  {
+    order.push('after-unmarshal');
+    assert.equal('trace', context.result.trace);
+    assert.equal(true, context.result.signed);
+    context.result.Item.id.S += '!';
+    setImmediate(next);
+  });
+  var middleware = [{ phase: 'after-unmarshal', fn: function(context, next)
+  {
+    order.push('call');
+    next();
+  } }];
+  ddb.getItem('t', { id: 1 }, { middleware: middleware }, function(err, res)
+  {
+    assert.equal(null, err);
+    assert.equal('renamed!', res.id);
+    assert.deepEqual(['before-marshal', 'first', 'before-sign', 'after-send', 'after-unmarshal', 'call'], order);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // the request is sent as the before-sign middlewares leave it
+  ddb.use('before-sign', function(context, next)
+  {
+    context.request.uri = '/custom';
+    context.request.headers = { host: context.request.headers.host,
+                                'x-amz-target': context.request.headers['x-amz-target'],
+                                'content-type': context.request.headers['content-type'],
+                                'x-trace-id': 'replaced' };
+    next();
+  });
+  ddb.use('after-unmarshal', function(context, next)
+  {
+    assert.equal('/custom', context.result.url);
+    assert.equal('replaced', context.result.trace);
+    assert.equal(true, context.result.signed);
+    next();
+  });
+  ddb.getItem('t', { id: 1 }, {}, function(err, res)
+  {
+    assert.equal(null, err);
+    assert.equal('t', res.id);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // results without capacity, short-circuited after the response
+  ddb.use('after-unmarshal', function(context, next)
+  {
+    next(null, { Attributes: { id: { S: 'cached' } } });
+  });
+  ddb.updateItem('t', { id: 1 }, { updateExpression: 'SET n = n + :one',
+                                   expressionAttributeValues: { ':one': 1 } }, function(err, res, cap)
+  {
+    assert.equal(null, err);
+    assert.equal('cached', res.id);
+    assert.equal(0, cap);
+    assert.equal(1, hits);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // short-circuit with a cached response
+  ddb.use('before-marshal', function(context, next)
+  {
+    next(null, { Item: { id: { S: 'cached' } }, ConsumedCapacity: { CapacityUnits: 0 } });
+  });
+  ddb.getItem('t', { id: 1 }, {}, function(err, res)
+  {
+    assert.equal(null, err);
+    assert.equal('cached', res.id);
+    assert.equal(0, hits);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // errors are seen, replaced or recovered from
+  status = 400;
+  var seen = null;
+  var unregister = ddb.use('on-error', function(context, next)
+  {
+    seen = context.error;
+    next(null, { Item: { id: { S: 'fallback' } }, ConsumedCapacity: { CapacityUnits: 0 } });
+  });
+  ddb.getItem('t', { id: 1 }, {}, function(err, res)
+  {
+    assert.equal(null, err);
+    assert.equal('fallback', res.id);
+    assert.equal('ResourceNotFoundException', seen.code);
+    unregister();
+    ddb.use('before-sign', function(context, next)
+    {
+      throw new Error('boom');
+    });
+    ddb.getItem('t', { id: 1 }, {}, function(err)
+    {
+      assert.equal('boom', err.message);
+      assert.equal(1, hits);
+      done();
+    });
+  });
+});
+
+tests.push(function(done)
+{
+  assert.throws(function() { ddb.use('before-send', function() {}); }, /Unknown Middleware Phase/);
+  assert.throws(function() { ddb.use('on-error'); }, /Invalid Middleware/);
+  // client wide middlewares
+  var client = lib.ddb({ credentials: credentials, endpoint: 'http://127.0.0.1:' + server.address().port,
+                         middleware: [{ phase: 'after-send', fn: function(context, next)
+  {
+    next(new Error('rejected'));
+  } }] });
+  client.listTables({}, function(err)
+  {
+    assert.equal('rejected', err.message);
+    client.destroy();
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // the middlewares of a bulkWrite also see the DescribeTable calls
+  var operations = [];
+  var middleware = [{ phase: 'before-sign', fn: function(context, next)
+  {
+    operations.push(context.operation);
+    next();
+  } }];
+  ddb.bulkWrite({ t: [{ id: 1 }] }, {}, { middleware: middleware }, function(err, summary)
+  {
+    assert.equal(null, err);
+    assert.equal(1, summary.written);
+    assert.deepEqual(['DescribeTable', 'BatchWriteItem'], operations);
+    done();
+  });
+});
+
+server.listen(0, '127.0.0.1', function()
+{
+  stub.run('middleware', tests, {
+    before: function()
+    {
+      hits = 0;
+      status = 200;
+      server.reset();
+      if (ddb)
+        ddb.destroy();
+      ddb = lib.ddb({ credentials: credentials, endpoint: 'http://127.0.0.1:' + server.address().port,
+                      retries: 0 });
+    },
+    after: function()
+    {
+      ddb.destroy();
+      server.shutdown();
+    }
+  });
+});
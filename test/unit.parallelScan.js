@@ -0,0 +1,135 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var stub = require('./stub');
+
+// segment 0 holds ids 1 to 3, one per page, segment 1 holds id 10
+var pages = {
+  0: [1, 2, 3],
+  1: [10]
+};
+var client = stub.client(function(op, data)
+{
+  var ids = pages[data.Segment];
+  var start = data.ExclusiveStartKey ? ids.indexOf(Number(data.ExclusiveStartKey.id.N)) + 1 : 0;
+  var res = { Items: [{ id: { N: String(ids[start]) } }], Count: 1, ScannedCount: 1,
+              ConsumedCapacity: { CapacityUnits: 0.5 } };
+  if (start < ids.length - 1)
+    res.LastEvaluatedKey = { id: { N: String(ids[start]) } };
+  return res;
+});
+var ddb = client.ddb;
+
+var read = function(scan, cb)
+{
+  var ids = [];
+  scan.on('data', function(item)
+  {
+    ids.push(item.id);
+  });
+  scan.on('error', cb);
+  scan.on('end', function()
+  {
+    cb(null, ids.sort(function(a, b) { return a - b; }));
+  });
+};
+
+var tests = [];
+
+tests.push(function(done)
+{
+  var progress = [];
+  ddb.on('scanProgress', function(event)
+  {
+    progress.push(event);
+  });
+  var scan = ddb.parallelScan('t', { totalSegments: 2 });
+  read(scan, function(err, ids)
+  {
+    assert.equal(null, err);
+    assert.deepEqual([1, 2, 3, 10], ids);
+    assert.equal(4, progress.length);
+    assert.deepEqual({ 0: null, 1: null }, scan.checkpoint());
+    ddb.removeAllListeners('scanProgress');
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // resumed segments are part of the checkpoint before their next page
+  var scan = ddb.parallelScan('t', { totalSegments: 2, checkpoint: { 0: { id: 1 }, 1: null } });
+  assert.deepEqual({ 0: { id: 1 }, 1: null }, scan.checkpoint());
+  read(scan, function(err, ids)
+  {
+    assert.equal(null, err);
+    assert.deepEqual([2, 3], ids);
+    assert.deepEqual({ id: { N: '1' } }, client.requests[0].data.ExclusiveStartKey);
+    assert.equal(0, client.requests[0].data.Segment);
+    assert.equal(2, client.requests[0].data.TotalSegments);
+    assert.deepEqual({ 0: null, 1: null }, scan.checkpoint());
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // interrupted twice, resumed from the checkpoints
+  var seen = [];
+  var interrupt = function(checkpoint, cb)
+  {
+    var scan = ddb.parallelScan('t', { totalSegments: 2, concurrency: 1, checkpoint: checkpoint });
+    scan.once('data', function(item)
+    {
+      seen.push(item.id);
+      // once the page is pushed
+      setImmediate(function()
+      {
+        var next = scan.checkpoint();
+        scan.destroy();
+        cb(next);
+      });
+    });
+  };
+  interrupt(undefined, function(checkpoint)
+  {
+    assert.deepEqual({ 0: { id: 1 } }, checkpoint);
+    interrupt(checkpoint, function(checkpoint)
+    {
+      assert.deepEqual({ 0: { id: 2 } }, checkpoint);
+      read(ddb.parallelScan('t', { totalSegments: 2, checkpoint: checkpoint }), function(err, ids)
+      {
+        assert.equal(null, err);
+        assert.deepEqual([1, 2, 3, 10], seen.concat(ids).sort(function(a, b) { return a - b; }));
+        done();
+      });
+    });
+  });
+});
+
+stub.run('parallelScan', tests, {
+  before: function()
+  {
+    client.requests = [];
+  }
+});
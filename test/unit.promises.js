@@ -0,0 +1,189 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var stub = require('./stub');
+var errors = require('../lib/errors');
+
+// two pages of items for Query and Scan, of table names for ListTables
+var client = stub.client(function(op, data)
+{
+  switch (op)
+  {
+    case 'GetItem':
+      if (data.TableName === 'missing')
+        return { __type: 'com.amazonaws.dynamodb.v20120810#ResourceNotFoundException', message: 'not found' };
+      return { Item: { id: data.Key.id, v: { S: 'x' } }, ConsumedCapacity: { TableName: data.TableName,
+                                                                             CapacityUnits: 0.5 } };
+    case 'PutItem':
+      return { Attributes: { id: { S: 'a' }, v: { S: 'old' } }, ConsumedCapacity: { TableName: data.TableName,
+                                                                                    CapacityUnits: 1 } };
+    case 'Query':
+    case 'Scan':
+      if (data.TableName === 'broken' && data.ExclusiveStartKey)
+        return { __type: 'com.amazonaws.dynamodb.v20120810#ValidationException', message: 'bad key' };
+      if (!data.ExclusiveStartKey)
+        return { Count: 2, ScannedCount: 2, Items: [{ id: { N: '0' } }, { id: { N: '1' } }],
+                 LastEvaluatedKey: { id: { N: '1' } }, ConsumedCapacity: { CapacityUnits: 0 } };
+      return { Count: 1, ScannedCount: 1, Items: [{ id: { N: '2' } }], ConsumedCapacity: { CapacityUnits: 0 } };
+    case 'ListTables':
+      if (!data.ExclusiveStartTableName)
+        return { TableNames: ['a', 'b'], LastEvaluatedTableName: 'b' };
+      return { TableNames: ['c'] };
+  }
+});
+var ddb = client.ddb;
+
+// drains an async iterator into an array
+var drain = function(iterator, cb)
+{
+  var res = [];
+  (function next()
+  {
+    iterator.next().then(function(step)
+    {
+      if (step.done)
+        return cb(null, res);
+      res.push(step.value);
+      next();
+    }, cb);
+  })();
+};
+
+var tests = [];
+
+tests.push(function(done)
+{
+  // optional arguments default to {} and results are named
+  ddb.getItem('foo', { id: 'a' }).then(function(res)
+  {
+    assert.deepEqual({ item: { id: 'a', v: 'x' }, consumedCapacity: 0.5 }, res);
+    assert.deepEqual({ TableName: 'foo', Key: { id: { S: 'a' } } },
+                     { TableName: client.requests[0].data.TableName, Key: client.requests[0].data.Key });
+    return ddb.putItem('foo', { id: 'a', v: 'new' }, { returnValues: 'ALL_OLD' });
+  }).then(function(res)
+  {
+    assert.deepEqual({ id: 'a', v: 'old' }, res.attributes);
+    return ddb.query('foo', { id: 'a' }, { id: 'EQ' });
+  }).then(function(res)
+  {
+    assert.deepEqual({ count: 2, items: [{ id: 0 }, { id: 1 }], lastEvaluatedKey: { id: 1 }, scannedCount: 2,
+                       consumedCapacity: 0 }, res);
+    return ddb.listTables();
+  }).then(function(res)
+  {
+    assert.deepEqual({ tableNames: ['a', 'b'], lastEvaluatedTableName: 'b' }, res);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // errors reject the promise
+  ddb.getItem('missing', { id: 'a' }).then(function()
+  {
+    assert.fail('resolved');
+  }, function(err)
+  {
+    assert.ok(err instanceof errors.ResourceNotFoundError);
+    assert.equal('GetItem', err.operation);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // callbacks are still supported, without promise
+  var res = ddb.getItem('foo', { id: 'a' }, {}, function(err, item, cap)
+  {
+    assert.equal(null, err);
+    assert.deepEqual({ id: 'a', v: 'x' }, item);
+    assert.equal(0.5, cap);
+    done();
+  });
+  assert.equal(undefined, res);
+});
+
+tests.push(function(done)
+{
+  drain(ddb.scanIterator('foo', { limit: 2 }), function(err, items)
+  {
+    assert.equal(null, err);
+    assert.deepEqual([{ id: 0 }, { id: 1 }, { id: 2 }], items);
+    assert.deepEqual(['Scan', 'Scan'], client.requests.map(function(r) { return r.op; }));
+    assert.equal(2, client.requests[1].data.Limit);
+    assert.deepEqual({ id: { N: '1' } }, client.requests[1].data.ExclusiveStartKey);
+    drain(ddb.queryIterator('foo', { id: 'a' }, { id: 'EQ' }), function(err, items)
+    {
+      assert.equal(null, err);
+      assert.deepEqual([{ id: 0 }, { id: 1 }, { id: 2 }], items);
+      assert.equal('Query', client.requests[2].op);
+      assert.deepEqual({ id: { N: '1' } }, client.requests[3].data.ExclusiveStartKey);
+      drain(ddb.listTablesIterator(), function(err, names)
+      {
+        assert.equal(null, err);
+        assert.deepEqual(['a', 'b', 'c'], names);
+        assert.equal('b', client.requests[5].data.ExclusiveStartTableName);
+        done();
+      });
+    });
+  });
+});
+
+tests.push(function(done)
+{
+  // an early return stops fetching pages
+  var iterator = ddb.scanIterator('foo');
+  assert.equal(iterator, iterator[Symbol.asyncIterator]());
+  iterator.next().then(function(step)
+  {
+    assert.deepEqual({ value: { id: 0 }, done: false }, step);
+    return iterator['return']();
+  }).then(function(step)
+  {
+    assert.equal(true, step.done);
+    return iterator.next();
+  }).then(function(step)
+  {
+    assert.equal(true, step.done);
+    assert.equal(1, client.requests.length);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // a failing page rejects after the items of the previous pages
+  drain(ddb.queryIterator('broken', { id: 'a' }, { id: 'EQ' }), function(err)
+  {
+    assert.ok(err instanceof errors.ValidationError);
+    assert.equal(2, client.requests.length);
+    done();
+  });
+});
+
+stub.run('promises', tests, {
+  before: function()
+  {
+    client.requests = [];
+  }
+});
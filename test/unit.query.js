@@ -0,0 +1,117 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var stub = require('./stub');
+var expr = require('../lib/expressions');
+
+var client = stub.client(function(op, data)
+{
+  if (data.Select === 'COUNT')
+    return { Count: 3, ScannedCount: 5, ConsumedCapacity: { CapacityUnits: 0.5 } };
+  return { Count: 1, ScannedCount: 1, Items: [{ id: { S: 'a' }, ts: { N: '2' } }],
+           LastEvaluatedKey: { id: { S: 'a' }, ts: { N: '2' } }, ConsumedCapacity: { CapacityUnits: 0.5 } };
+});
+var ddb = client.ddb;
+
+var tests = [];
+
+tests.push(function(done)
+{
+  // BETWEEN takes both bounds, other operators a single value
+  ddb.query('foo', { id: 'a', ts: [1, 5] }, { id: 'EQ', ts: 'between' }, {}, function(err, res)
+  {
+    assert.equal(null, err);
+    assert.deepEqual({ id: { ComparisonOperator: 'EQ', AttributeValueList: [{ S: 'a' }] },
+                       ts: { ComparisonOperator: 'BETWEEN', AttributeValueList: [{ N: '1' }, { N: '5' }] } },
+                     client.requests[0].data.KeyConditions);
+    assert.deepEqual({ count: 1, items: [{ id: 'a', ts: 2 }], lastEvaluatedKey: { id: 'a', ts: 2 },
+                       scannedCount: 1 }, res);
+    ddb.query('foo', { id: 'a', ts: 3 }, { id: 'EQ', ts: 'GE' }, {}, function(err)
+    {
+      assert.equal(null, err);
+      assert.deepEqual({ ComparisonOperator: 'GE', AttributeValueList: [{ N: '3' }] },
+                       client.requests[1].data.KeyConditions.ts);
+      done();
+    });
+  });
+});
+
+tests.push(function(done)
+{
+  // a key condition expression replaces KeyConditions
+  ddb.query('foo', null, null, { keyConditionExpression: 'id = :id AND ts BETWEEN :lo AND :hi',
+                                 expressionAttributeValues: { ':id': 'a', ':lo': 1, ':hi': 5 },
+                                 indexName: 'by-ts', scanIndexForward: false, limit: 10 }, function(err)
+  {
+    assert.equal(null, err);
+    var data = client.requests[0].data;
+    assert.equal(undefined, data.KeyConditions);
+    assert.equal('id = :id AND ts BETWEEN :lo AND :hi', data.KeyConditionExpression);
+    assert.deepEqual({ ':id': { S: 'a' }, ':lo': { N: '1' }, ':hi': { N: '5' } }, data.ExpressionAttributeValues);
+    assert.equal('by-ts', data.IndexName);
+    assert.equal(false, data.ScanIndexForward);
+    assert.equal(10, data.Limit);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // builders are rendered with shared placeholders
+  ddb.query('foo', null, null, { keyConditionExpression: expr.attr('id').eq('a').and(expr.attr('ts').between(1, 5)),
+                                 filterExpression: expr.attr('v').exists() }, function(err)
+  {
+    assert.equal(null, err);
+    var data = client.requests[0].data;
+    assert.equal('#n0 = :v0 AND #n1 BETWEEN :v1 AND :v2', data.KeyConditionExpression);
+    assert.equal('attribute_exists(#n2)', data.FilterExpression);
+    assert.deepEqual({ '#n0': 'id', '#n1': 'ts', '#n2': 'v' }, data.ExpressionAttributeNames);
+    assert.deepEqual({ ':v0': { S: 'a' }, ':v1': { N: '1' }, ':v2': { N: '5' } }, data.ExpressionAttributeValues);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // select is passed as is, count selects COUNT
+  ddb.query('foo', { id: 'a' }, { id: 'EQ' }, { select: 'ALL_PROJECTED_ATTRIBUTES', indexName: 'by-ts' },
+            function(err)
+  {
+    assert.equal(null, err);
+    assert.equal('ALL_PROJECTED_ATTRIBUTES', client.requests[0].data.Select);
+    ddb.query('foo', { id: 'a' }, { id: 'EQ' }, { count: true }, function(err, res)
+    {
+      assert.equal(null, err);
+      assert.equal('COUNT', client.requests[1].data.Select);
+      assert.deepEqual({ count: 3, items: [], lastEvaluatedKey: null, scannedCount: 5 }, res);
+      done();
+    });
+  });
+});
+
+stub.run('query', tests, {
+  before: function()
+  {
+    client.requests = [];
+  }
+});
@@ -0,0 +1,184 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var lib = require('../lib/ddb');
+var stub = require('./stub');
+var retry = lib.retry;
+
+var error = function(code, statusCode)
+{
+  var err = new Error(code);
+  err.code = code;
+  err.statusCode = statusCode;
+  return err;
+};
+
+// classification
+var policy = retry.policy({ jitter: 'none', budget: false });
+assert.equal('throttling', policy.classify(error('ThrottlingException', 400)));
+assert.equal('throttling', policy.classify(error('RequestLimitExceeded', 400)));
+assert.equal('transient', policy.classify(error('TransactionConflictException', 400)));
+assert.equal('transient', policy.classify(error('InternalServerError', 500)));
+assert.equal('transient', policy.classify(error('JSONParseError', 200)));
+assert.equal('network', policy.classify(error('ECONNRESET')));
+assert.equal(null, policy.classify(error('ValidationException', 400)));
+assert.equal(null, policy.classify(error('ConditionalCheckFailedException', 400)));
+
+// attempts and delays
+var state = { attempts: 1 };
+assert.deepEqual({ retry: true, delay: 50, reason: 'throttling' }, policy.decide(error('ThrottlingException'), state));
+state.attempts = 3;
+assert.deepEqual({ retry: true, delay: 200, reason: 'network' }, policy.decide(error('EPIPE'), state));
+state.attempts = 4;
+assert.deepEqual({ retry: false, reason: 'attempts' }, policy.decide(error('EPIPE'), state));
+assert.deepEqual({ retry: false, reason: 'code' }, policy.decide(error('ValidationException'), { attempts: 1 }));
+assert.equal(20000, policy.delay({ attempts: 30 }));
+
+for (var i = 0; i < 100; i++)
+{
+  var full = retry.policy({ baseDelay: 10, maxDelay: 1000 }).delay({ attempts: 4 });
+  assert.ok(full >= 0 && full < 80);
+  var decorrelated = retry.policy({ baseDelay: 10, maxDelay: 1000, jitter: 'decorrelated' }).delay({ attempts: 4, delay: 100 });
+  assert.ok(decorrelated >= 10 && decorrelated <= 300);
+}
+assert.throws(function() { retry.policy({ jitter: 'some' }); }, /Invalid Jitter/);
+
+// per code decisions
+policy = retry.policy({ budget: false, decisions: {
+  ValidationException: true,
+  ThrottlingException: false,
+  TransactionCanceledException: function(err, state) { return state.attempts < 2; }
+} });
+assert.ok(policy.decide(error('ValidationException'), { attempts: 1 }).retry);
+assert.ok(!policy.decide(error('ThrottlingException'), { attempts: 1 }).retry);
+assert.ok(policy.decide(error('TransactionCanceledException'), { attempts: 1 }).retry);
+assert.ok(!policy.decide(error('TransactionCanceledException'), { attempts: 2 }).retry);
+
+// retry budget: shared tokens, given back on success
+var bucket = retry.bucket({ capacity: 12, retryCost: 5, timeoutCost: 10 });
+var a = retry.policy({ budget: bucket });
+var b = retry.policy({ budget: bucket });
+var stateA = { attempts: 1 };
+assert.ok(a.decide(error('ECONNRESET'), stateA).retry);
+assert.ok(b.decide(error('ECONNRESET'), { attempts: 1 }).retry);
+assert.deepEqual({ retry: false, reason: 'budget' }, b.decide(error('ECONNRESET'), { attempts: 1 }));
+a.succeeded(stateA);
+assert.equal(7, bucket.available());
+assert.ok(!a.decide(error('TimeoutError'), { attempts: 1 }).retry);
+a.succeeded({ attempts: 1, cost: 0 });
+assert.equal(8, bucket.available());
+
+// client: retried attempts emit retry events
+var replies = [];
+var requests = [];
+var server = stub.server(function(req, res)
+{
+  requests.push(req.headers);
+  var reply = replies.shift();
+  res.statusCode = reply[0];
+  res.end(reply[1]);
+});
+var ddb = null;
+
+var tests = [];
+
+tests.push(function(done)
+{
+  var events = [];
+  ddb.on('retry', function(event)
+  {
+    events.push(event);
+  });
+  replies = [
+    [400, JSON.stringify({ __type: 'com.amazonaws.dynamodb.v20120810#ThrottlingException', message: 'slow down' })],
+    [200, '<html>'],
+    [200, JSON.stringify({ Table: { TableName: 't' } })]
+  ];
+  ddb.describeTable('t', function(err, table)
+  {
+    assert.ifError(err);
+    assert.equal('t', table.TableName);
+    assert.equal(3, requests.length);
+    assert.deepEqual(['DescribeTable t 1 throttling ThrottlingException', 'DescribeTable t 2 transient JSONParseError'],
+                     events.map(function(e)
+                     {
+                       return [e.operation, e.table, e.attempt, e.reason, e.error.code].join(' ');
+                     }));
+    ddb.removeAllListeners('retry');
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  replies = [
+    [400, JSON.stringify({ __type: 'com.amazonaws.dynamodb.v20120810#ValidationException', message: 'bad' })]
+  ];
+  ddb.describeTable('t', function(err)
+  {
+    assert.equal('ValidationException', err.code);
+    assert.equal(1, err.attempts);
+    assert.equal(1, requests.length);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // each attempt is signed again, with its own date
+  var client = lib.ddb({ credentials: { accessKeyId: 'a', secretAccessKey: 's' }, endpoint: '127.0.0.1',
+                         port: server.address().port,
+                         retry: retry.policy({ maxAttempts: 2, baseDelay: 1000, jitter: 'none' }) });
+  replies = [
+    [500, JSON.stringify({ __type: 'com.amazonaws.dynamodb.v20120810#InternalServerError', message: 'oops' })],
+    [200, JSON.stringify({ Table: { TableName: 't' } })]
+  ];
+  client.describeTable('t', function(err)
+  {
+    assert.ifError(err);
+    assert.equal(2, requests.length);
+    assert.notEqual(requests[0]['x-amz-date'], requests[1]['x-amz-date']);
+    assert.notEqual(requests[0].authorization, requests[1].authorization);
+    client.destroy();
+    done();
+  });
+});
+
+server.listen(0, '127.0.0.1', function()
+{
+  ddb = lib.ddb({ credentials: { accessKeyId: 'a', secretAccessKey: 's' }, endpoint: '127.0.0.1',
+                  port: server.address().port,
+                  retry: retry.policy({ maxAttempts: 3, baseDelay: 1 }) });
+  stub.run('retry', tests, {
+    before: function()
+    {
+      requests = [];
+      server.reset();
+    },
+    after: function()
+    {
+      ddb.destroy();
+      server.shutdown();
+    }
+  });
+});
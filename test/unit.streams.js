@@ -0,0 +1,170 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var stub = require('./stub');
+var errors = require('../lib/errors');
+
+// three pages of items for Query and Scan; BatchWriteItem leaves the
+// requests of the table 'full' unprocessed
+var client = stub.client(function(op, data)
+{
+  switch (op)
+  {
+    case 'Query':
+    case 'Scan':
+      if (data.TableName === 'broken' && data.ExclusiveStartKey)
+        return { __type: 'com.amazonaws.dynamodb.v20120810#ValidationException', message: 'bad key' };
+      var page = data.ExclusiveStartKey ? Number(data.ExclusiveStartKey.id.N) + 1 : 0;
+      var res = { Count: 1, ScannedCount: 1, Items: [{ id: { N: String(page) } }],
+                  ConsumedCapacity: { CapacityUnits: 0.5 } };
+      if (page < 2)
+        res.LastEvaluatedKey = { id: { N: String(page) } };
+      return res;
+    case 'DescribeTable':
+      return { Table: { TableName: data.TableName, KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] } };
+    case 'BatchWriteItem':
+      var res = { UnprocessedItems: {}, ConsumedCapacity: [] };
+      for (var table in data.RequestItems)
+      {
+        if (table === 'full')
+          res.UnprocessedItems[table] = data.RequestItems[table];
+        else
+          res.ConsumedCapacity.push({ TableName: table, CapacityUnits: data.RequestItems[table].length });
+      }
+      return res;
+  }
+});
+var ddb = client.ddb;
+
+// reads a stream to its end
+var collect = function(readable, cb)
+{
+  var items = [];
+  readable.on('data', function(item)
+  {
+    items.push(item);
+  });
+  readable.on('error', cb);
+  readable.on('end', function()
+  {
+    cb(null, items);
+  });
+};
+
+var tests = [];
+
+tests.push(function(done)
+{
+  // pages are fetched as the stream is read
+  var readable = ddb.scanStream('foo', { limit: 1 });
+  setImmediate(function()
+  {
+    assert.equal(0, client.requests.length);
+    collect(readable, function(err, items)
+    {
+      assert.equal(null, err);
+      assert.deepEqual([{ id: 0 }, { id: 1 }, { id: 2 }], items);
+      assert.deepEqual(['Scan', 'Scan', 'Scan'], client.requests.map(function(r) { return r.op; }));
+      assert.equal(1, client.requests[2].data.Limit);
+      assert.deepEqual({ id: { N: '1' } }, client.requests[2].data.ExclusiveStartKey);
+      done();
+    });
+  });
+});
+
+tests.push(function(done)
+{
+  collect(ddb.queryStream('foo', { id: 'a' }, { id: 'EQ' }), function(err, items)
+  {
+    assert.equal(null, err);
+    assert.deepEqual([{ id: 0 }, { id: 1 }, { id: 2 }], items);
+    assert.equal('Query', client.requests[0].op);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // a failing page destroys the stream with the error
+  collect(ddb.queryStream('broken', { id: 'a' }, { id: 'EQ' }), function(err)
+  {
+    assert.ok(err instanceof errors.ValidationError);
+    assert.equal(2, client.requests.length);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // items are buffered and written by bufferSize
+  var writable = ddb.writeStream('foo', { bufferSize: 10 });
+  for (var i = 0; i < 25; i++)
+    writable.write({ id: i });
+  writable.end();
+  writable.on('finish', function()
+  {
+    var writes = client.requests.filter(function(r) { return r.op === 'BatchWriteItem'; });
+    assert.deepEqual([10, 10, 5], writes.map(function(r) { return r.data.RequestItems.foo.length; }));
+    assert.deepEqual({ PutRequest: { Item: { id: { N: '0' } } } }, writes[0].data.RequestItems.foo[0]);
+    assert.deepEqual({ written: 25, failed: 0, consumedCapacity: 25 }, writable.summary());
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // with the delete option, the objects written are keys
+  var writable = ddb.writeStream('foo', { 'delete': true });
+  writable.end({ id: 3 });
+  writable.on('finish', function()
+  {
+    var writes = client.requests.filter(function(r) { return r.op === 'BatchWriteItem'; });
+    assert.deepEqual({ foo: [{ DeleteRequest: { Key: { id: { N: '3' } } } }] }, writes[0].data.RequestItems);
+    assert.equal(1, writable.summary().written);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // items still unprocessed fail the stream
+  var writable = ddb.writeStream('full', { maxRetries: 0 });
+  writable.end({ id: 1 });
+  writable.on('error', function(err)
+  {
+    assert.ok(err instanceof errors.DynamoDBError);
+    assert.equal('UnprocessedItems', err.code);
+    assert.equal('BatchWriteItem', err.operation);
+    assert.equal('full', err.table);
+    assert.deepEqual([{ table: 'full', put: { id: 1 } }], err.failedItems);
+    assert.deepEqual({ written: 0, failed: 1, consumedCapacity: 0 }, writable.summary());
+    done();
+  });
+});
+
+stub.run('streams', tests, {
+  before: function()
+  {
+    client.requests = [];
+  }
+});
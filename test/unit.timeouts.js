@@ -0,0 +1,117 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var lib = require('../lib/ddb');
+var stub = require('./stub');
+var credentials = {accessKeyId: "a", secretAccessKey: "s"};
+
+var hits = 0;
+var ddb = null;
+var server = stub.server(function(req, res)
+{
+  hits++;
+  // never answers
+});
+
+var tests = [];
+
+tests.push(function(done)
+{
+  // timed out attempts are retried, then reported
+  ddb.describeTable('t', { timeout: 50 }, function(err)
+  {
+    assert.equal('TimeoutError', err.code);
+    assert.equal('request', err.phase);
+    assert.equal(50, err.timeout);
+    assert.equal(3, hits);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  var controller = new AbortController();
+  setTimeout(function() { controller.abort(); }, 50);
+  ddb.getItem('t', { id: 1 }, { signal: controller.signal }, function(err)
+  {
+    assert.equal('AbortError', err.code);
+    assert.equal(1, hits);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  var controller = new AbortController();
+  controller.abort();
+  ddb.listTables({ signal: controller.signal }).catch(function(err)
+  {
+    assert.equal('AbortError', err.code);
+    assert.equal(0, hits);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // aborted while waiting to retry
+  var controller = new AbortController();
+  setTimeout(function() { controller.abort(); }, 100);
+  ddb.describeTable('t', { timeout: 50, signal: controller.signal }, function(err)
+  {
+    assert.equal('AbortError', err.code);
+    assert.equal(1, hits);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // client wide timeout
+  var client = lib.ddb({ credentials: credentials, endpoint: '127.0.0.1', port: server.address().port,
+                         timeout: 30, retries: 0 });
+  client.describeTable('t', function(err)
+  {
+    assert.equal('TimeoutError', err.code);
+    client.destroy();
+    done();
+  });
+});
+
+server.listen(0, '127.0.0.1', function()
+{
+  ddb = lib.ddb({ credentials: credentials, endpoint: '127.0.0.1', port: server.address().port,
+                  retry: lib.retry.policy({ maxAttempts: 3, baseDelay: 100, jitter: 'none' }) });
+  stub.run('timeouts', tests, {
+    before: function()
+    {
+      hits = 0;
+      server.reset();
+    },
+    after: function()
+    {
+      ddb.destroy();
+      server.shutdown();
+    }
+  });
+});
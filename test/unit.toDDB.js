@@ -22,29 +22,36 @@
 var fwk = require('fwk');
 var assert = require('assert');
 
-var objToDDB = require('../lib/ddb').ddb({accessKeyId: "", secretAccessKey: ""}).objToDDB;
-var scToDDB = require('../lib/ddb').ddb({accessKeyId: "", secretAccessKey: ""}).scToDDB;
+var objToDDB = require('../lib/ddb').ddb({credentials: {accessKeyId: "", secretAccessKey: ""}}).objToDDB;
+var scToDDB = require('../lib/ddb').ddb({credentials: {accessKeyId: "", secretAccessKey: ""}}).scToDDB;
+var set = require('../lib/ddb').set;
 
 assert.deepEqual({key : { S : "str"}}, objToDDB({key : "str"}));
 assert.deepEqual({key : { N : "1234"}}, objToDDB({key : 1234}));
-assert.deepEqual({key : { SS : ["foo"]}}, objToDDB({key : ["foo"]}));
-assert.deepEqual({key : { SS : ["foo", "bar"]}}, objToDDB({key : ["foo", "bar"]}));
-assert.deepEqual({key : { NS : ["42"]}}, objToDDB({key : [42]}));
-assert.deepEqual({key : { NS : ["4", "5", "42"]}}, objToDDB({key : [4, 5, 42]}));
-assert.deepEqual({}, objToDDB({key : null}));
-assert.deepEqual({"key1":{"S":"str"}}, objToDDB({key1:"str", key : null}));
-assert.deepEqual({"key1":{"N":"1234"}}, objToDDB({key1:1234, key : null}));
+assert.deepEqual({key : { SS : ["foo"]}}, objToDDB({key : set(["foo"])}));
+assert.deepEqual({key : { SS : ["foo", "bar"]}}, objToDDB({key : set(["foo", "bar"])}));
+assert.deepEqual({key : { NS : ["42"]}}, objToDDB({key : set([42])}));
+assert.deepEqual({key : { NS : ["4", "5", "42"]}}, objToDDB({key : set([4, 5, 42])}));
+assert.deepEqual({key : { L : [{ S : "foo"}, { S : "foo"}]}}, objToDDB({key : ["foo", "foo"]}));
+assert.deepEqual({key : { L : []}}, objToDDB({key : []}));
+assert.deepEqual({key : { L : [{ N : "1"}, { S : "a"}, { L : [{ M : { b : { BOOL : true}}}]}]}},
+                 objToDDB({key : [1, "a", [{ b : true }]]}));
+assert.deepEqual({key : { NULL : true}}, objToDDB({key : null}));
+assert.deepEqual({"key1":{"S":"str"},"key":{"NULL":true}}, objToDDB({key1:"str", key : null}));
+assert.deepEqual({"key1":{"N":"1234"},"key":{"NULL":true}}, objToDDB({key1:1234, key : null}));
 
 var expect = {
   str : {"S" : "string"},
   stringSet : { SS : ["foo", "bar"]}
 };
-assert.deepEqual(expect, objToDDB({str : "string", stringSet : ["foo", "bar"]}));
+assert.deepEqual(expect, objToDDB({str : "string", stringSet : set(["foo", "bar"])}));
 
 console.log('objToDDB          : ok');
 
-assert.deepEqual({ SS : ["foo"]}, scToDDB(["foo"]));
-assert.deepEqual({ SS : ["foo", "bar"]}, scToDDB(["foo", "bar"]));
+assert.deepEqual({ SS : ["foo"]}, scToDDB(set(["foo"])));
+assert.deepEqual({ SS : ["foo", "bar"]}, scToDDB(set(["foo", "bar", "foo"])));
+assert.deepEqual({ L : [{ S : "foo"}, { S : "bar"}]}, scToDDB(["foo", "bar"]));
+assert.throws(function() { scToDDB(set([])); }, /empty/);
 
 console.log('scToDDB           : ok');
 
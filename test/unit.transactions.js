@@ -0,0 +1,170 @@
+// Copyright Teleportd Ltd. and other Contributors
+//
+// Permission is hereby granted, free of charge, to any person obtaining a
+// copy of this software and associated documentation files (the
+// "Software"), to deal in the Software without restriction, including
+// without limitation the rights to use, copy, modify, merge, publish,
+// distribute, sublicense, and/or sell copies of the Software, and to permit
+// persons to whom the Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright notice and this permission notice shall be included
+// in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN
+// NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+// DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR
+// OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
+// USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+var assert = require('assert');
+
+var stub = require('./stub');
+var errors = require('../lib/errors');
+
+var answer = null;
+var client = stub.client(function(op, data)
+{
+  return answer(op, data);
+});
+var ddb = client.ddb;
+
+var tests = [];
+
+tests.push(function(done)
+{
+  answer = function()
+  {
+    return { ConsumedCapacity: [{ TableName: 'foo', CapacityUnits: 4 }, { TableName: 'bar', CapacityUnits: 2 }] };
+  };
+  ddb.transactWrite([{ put: { table: 'foo', item: { id: 'a', n: 1 },
+                              conditionExpression: 'attribute_not_exists(id)' } },
+                     { update: { table: 'foo', keys: { id: 'b' }, updateExpression: 'SET #n = #n + :one',
+                                 expressionAttributeNames: { '#n': 'n' },
+                                 expressionAttributeValues: { ':one': 1 } } },
+                     { 'delete': { table: 'bar', keys: { id: 'c' } } },
+                     { conditionCheck: { table: 'bar', keys: { id: 'd' }, conditionExpression: 'attribute_exists(id)',
+                                         returnValuesOnConditionCheckFailure: 'ALL_OLD' } }],
+                    { clientRequestToken: 'token' }, function(err, res, cap)
+  {
+    assert.equal(null, err);
+    assert.equal('TransactWriteItems', client.requests[0].op);
+    var data = client.requests[0].data;
+    assert.equal('token', data.ClientRequestToken);
+    assert.deepEqual({ Put: { TableName: 'foo', ConditionExpression: 'attribute_not_exists(id)',
+                              Item: { id: { S: 'a' }, n: { N: '1' } } } }, data.TransactItems[0]);
+    assert.deepEqual({ Update: { TableName: 'foo', UpdateExpression: 'SET #n = #n + :one',
+                                 ExpressionAttributeNames: { '#n': 'n' },
+                                 ExpressionAttributeValues: { ':one': { N: '1' } },
+                                 Key: { id: { S: 'b' } } } }, data.TransactItems[1]);
+    assert.deepEqual({ Delete: { TableName: 'bar', Key: { id: { S: 'c' } } } }, data.TransactItems[2]);
+    assert.deepEqual({ ConditionCheck: { TableName: 'bar', ConditionExpression: 'attribute_exists(id)',
+                                         ReturnValuesOnConditionCheckFailure: 'ALL_OLD',
+                                         Key: { id: { S: 'd' } } } }, data.TransactItems[3]);
+    assert.equal('token', res.clientRequestToken);
+    assert.equal(6, cap);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // a token is generated when none is given
+  answer = function()
+  {
+    return {};
+  };
+  ddb.transactWrite([{ 'delete': { table: 'foo', keys: { id: 'a' } } }], function(err, res)
+  {
+    assert.equal(null, err);
+    assert.ok(/^[0-9a-f]{32}$/.test(res.clientRequestToken));
+    assert.equal(res.clientRequestToken, client.requests[0].data.ClientRequestToken);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  answer = function()
+  {
+    return {
+      __type: 'com.amazonaws.dynamodb.v20120810#TransactionCanceledException',
+      message: 'Transaction cancelled',
+      CancellationReasons: [{ Code: 'None' },
+                            { Code: 'ConditionalCheckFailed', Message: 'The conditional request failed',
+                              Item: { id: { S: 'b' }, n: { N: '2' } } }]
+    };
+  };
+  ddb.transactWrite([{ put: { table: 'foo', item: { id: 'a' } } },
+                     { conditionCheck: { table: 'foo', keys: { id: 'b' }, conditionExpression: 'n = :n',
+                                         expressionAttributeValues: { ':n': 1 } } }], function(err)
+  {
+    assert.ok(err instanceof errors.TransactionCanceledError);
+    assert.equal('TransactWriteItems', err.operation);
+    assert.equal(1, client.requests.length);
+    assert.deepEqual([{ code: 'None', message: undefined, item: undefined },
+                      { code: 'ConditionalCheckFailed', message: 'The conditional request failed',
+                        item: { id: 'b', n: 2 } }], err.cancellationReasons);
+    assert.equal(2, err.reasons.length);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // invalid actions are reported without a request
+  ddb.transactWrite([{ upsert: { table: 'foo' } }], function(err)
+  {
+    assert.ok(/Non Compatible Transaction Action/.test(err.message));
+    assert.equal(0, client.requests.length);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  answer = function()
+  {
+    return {
+      Responses: [{ Item: { id: { S: 'a' }, n: { N: '3' } } }, {}],
+      ConsumedCapacity: [{ TableName: 'foo', CapacityUnits: 2 }]
+    };
+  };
+  ddb.transactGet([{ table: 'foo', keys: { id: 'a' }, projectionExpression: '#i, n',
+                     expressionAttributeNames: { '#i': 'id' } },
+                   { table: 'bar', keys: { id: 'b' } }], function(err, items, cap)
+  {
+    assert.equal(null, err);
+    assert.equal('TransactGetItems', client.requests[0].op);
+    assert.deepEqual([{ Get: { TableName: 'foo', Key: { id: { S: 'a' } }, ProjectionExpression: '#i, n',
+                               ExpressionAttributeNames: { '#i': 'id' } } },
+                      { Get: { TableName: 'bar', Key: { id: { S: 'b' } } } }], client.requests[0].data.TransactItems);
+    assert.deepEqual([{ id: 'a', n: 3 }, null], items);
+    assert.equal(2, cap);
+    done();
+  });
+});
+
+tests.push(function(done)
+{
+  // promise form
+  answer = function()
+  {
+    return { Responses: [{ Item: { id: { S: 'a' } } }] };
+  };
+  ddb.transactGet([{ table: 'foo', keys: { id: 'a' } }]).then(function(res)
+  {
+    assert.deepEqual([{ id: 'a' }], res.items);
+    assert.equal(0, res.consumedCapacity);
+    done();
+  });
+});
+
+stub.run('transactions', tests, {
+  before: function()
+  {
+    client.requests = [];
+  }
+});